@@ -0,0 +1,116 @@
+"use strict";
+
+var os = require("os");
+
+/**
+ * CPU time categories reported by os.cpus().
+ */
+var CPU_TIMES = ["user", "nice", "sys", "idle", "irq"];
+
+/**
+ * Periodically report host metrics as gauges:
+ *
+ *   prefix.load.1m, .5m and .15m - load averages
+ *   prefix.memory.free, .total and .used (bytes)
+ *   prefix.cpu.count
+ *   prefix.cpu.<n>.user, .nice, .sys, .idle and .irq - percentage of each CPU's
+ *     time spent in each mode since the last report
+ *   prefix.network.interfaces and prefix.network.addresses
+ *
+ * Errors (e.g. invalid names when sanitize is "throw") are emitted by metrics
+ * rather than thrown.
+ *
+ * @param {Object} metrics Metrics instance.
+ * @param {Object} options interval (milliseconds; defaults to 10000), prefix
+ * (defaults to "host") and tags.
+ *
+ * @return {Object} stop() stops collecting.
+ */
+module.exports = function(metrics, options) {
+    options = options || {};
+
+    var interval = options.interval || 10000;
+    var prefix = options.prefix || "host";
+    var tags = options.tags;
+
+    var lastCPUs = os.cpus();
+
+    var gauge = function(name, value) {
+        metrics.updateGauge(prefix + "." + name, value, tags);
+    };
+
+    var collect = function() {
+        var load = os.loadavg();
+
+        gauge("load.1m", load[0]);
+        gauge("load.5m", load[1]);
+        gauge("load.15m", load[2]);
+
+        var free = os.freemem();
+        var total = os.totalmem();
+
+        gauge("memory.free", free);
+        gauge("memory.total", total);
+        gauge("memory.used", total - free);
+
+        var cpus = os.cpus();
+
+        gauge("cpu.count", cpus.length);
+
+        cpus.forEach(function(cpu, i) {
+            var last = lastCPUs[i];
+
+            if (!last) {
+                // CPUs were added since the last report
+                return;
+            }
+
+            var deltas = {};
+            var elapsed = 0;
+
+            CPU_TIMES.forEach(function(mode) {
+                deltas[mode] = cpu.times[mode] - last.times[mode];
+                elapsed += deltas[mode];
+            });
+
+            if (elapsed <= 0) {
+                return;
+            }
+
+            CPU_TIMES.forEach(function(mode) {
+                gauge("cpu." + i + "." + mode, Math.round(100 * deltas[mode] / elapsed));
+            });
+        });
+
+        lastCPUs = cpus;
+
+        var interfaces = os.networkInterfaces();
+        var names = Object.keys(interfaces);
+
+        gauge("network.interfaces", names.length);
+        gauge("network.addresses", names.reduce(function(count, name) {
+            return count + interfaces[name].length;
+        }, 0));
+    };
+
+    var timer = setInterval(function() {
+        try {
+            collect();
+        } catch (err) {
+            // don't crash the process from a timer
+            metrics._emitError(err);
+        }
+    }, interval);
+
+    // don't wait for the timer to exit
+    timer.unref && timer.unref();
+
+    return {
+        /**
+         * Stop collecting.
+         */
+        stop: function() {
+            clearInterval(timer);
+        }
+    };
+};
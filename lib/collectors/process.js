@@ -0,0 +1,104 @@
+"use strict";
+
+/**
+ * Convert high-resolution time to fractional milliseconds.
+ */
+var hrtimeToMS = function(hrtime) {
+    return (hrtime[0] * 1e9 + hrtime[1]) / 1e6;
+};
+
+/**
+ * Periodically report process runtime metrics as gauges:
+ *
+ *   prefix.memory.rss, .heap_total, .heap_used and .external (bytes)
+ *   prefix.event_loop_lag - how late the collection timer fired (milliseconds)
+ *   prefix.active_handles and prefix.active_requests
+ *   prefix.cpu.user and prefix.cpu.system - CPU time used since the last
+ *     report (milliseconds)
+ *   prefix.uptime (seconds)
+ *
+ * Metrics that aren't available in the running version of Node are skipped.
+ * Errors (e.g. invalid names when sanitize is "throw") are emitted by metrics
+ * rather than thrown.
+ *
+ * @param {Object} metrics Metrics instance.
+ * @param {Object} options interval (milliseconds; defaults to 10000), prefix
+ * (defaults to "process") and tags.
+ *
+ * @return {Object} stop() stops collecting.
+ */
+module.exports = function(metrics, options) {
+    options = options || {};
+
+    var interval = options.interval || 10000;
+    var prefix = options.prefix || "process";
+    var tags = options.tags;
+
+    var lastTick = process.hrtime();
+    var lastCPU = process.cpuUsage ? process.cpuUsage() : null;
+
+    var gauge = function(name, value) {
+        metrics.updateGauge(prefix + "." + name, value, tags);
+    };
+
+    var collect = function() {
+        // the timer should have fired after `interval` milliseconds; anything
+        // beyond that was spent waiting for the event loop
+        var lag = Math.max(0, hrtimeToMS(process.hrtime(lastTick)) - interval);
+
+        lastTick = process.hrtime();
+
+        var memory = process.memoryUsage();
+
+        gauge("memory.rss", memory.rss);
+        gauge("memory.heap_total", memory.heapTotal);
+        gauge("memory.heap_used", memory.heapUsed);
+
+        if (memory.external !== undefined) {
+            gauge("memory.external", memory.external);
+        }
+
+        gauge("event_loop_lag", Math.round(lag));
+
+        if (process._getActiveHandles) {
+            gauge("active_handles", process._getActiveHandles().length);
+        }
+
+        if (process._getActiveRequests) {
+            gauge("active_requests", process._getActiveRequests().length);
+        }
+
+        if (lastCPU) {
+            var cpu = process.cpuUsage(lastCPU);
+
+            lastCPU = process.cpuUsage();
+
+            // microseconds
+            gauge("cpu.user", Math.round(cpu.user / 1000));
+            gauge("cpu.system", Math.round(cpu.system / 1000));
+        }
+
+        gauge("uptime", Math.round(process.uptime()));
+    };
+
+    var timer = setInterval(function() {
+        try {
+            collect();
+        } catch (err) {
+            // don't crash the process from a timer
+            metrics._emitError(err);
+        }
+    }, interval);
+
+    // don't wait for the timer to exit
+    timer.unref && timer.unref();
+
+    return {
+        /**
+         * Stop collecting.
+         */
+        stop: function() {
+            clearInterval(timer);
+        }
+    };
+};
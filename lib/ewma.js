@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * Create an exponentially weighted moving average of a rate, as used by UNIX
+ * load averages.
+ *
+ * Events are recorded with update(n) and folded into the average each time
+ * tick() is called, which should happen every `interval` seconds.
+ *
+ * @param {Number} minutes Period that the average should represent.
+ * @param {Number} interval Expected time between ticks (seconds).
+ */
+var EWMA = function(minutes, interval) {
+    if (!(this instanceof EWMA)) {
+        return new EWMA(minutes, interval);
+    }
+
+    this.interval = interval || 5;
+    this.alpha = 1 - Math.exp(-this.interval / 60 / minutes);
+    this.uncounted = 0;
+    this.rate = 0;
+    this.initialized = false;
+};
+
+/**
+ * Record events.
+ *
+ * @param {Number} n Number of events.
+ */
+EWMA.prototype.update = function(n) {
+    this.uncounted += n;
+};
+
+/**
+ * Fold events recorded since the last tick into the average.
+ */
+EWMA.prototype.tick = function() {
+    var instantRate = this.uncounted / this.interval;
+
+    this.uncounted = 0;
+
+    if (this.initialized) {
+        this.rate += this.alpha * (instantRate - this.rate);
+    } else {
+        this.rate = instantRate;
+        this.initialized = true;
+    }
+};
+
+module.exports = EWMA;
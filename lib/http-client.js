@@ -0,0 +1,154 @@
+"use strict";
+
+var http = require("http"),
+    https = require("https");
+
+/**
+ * Derive a metric name for an outgoing request from its destination host
+ * (without the port), replacing characters that aren't safe in names.
+ *
+ * @param {Object} req http.ClientRequest.
+ *
+ * @return {String} Metric name.
+ */
+var hostName = function(req) {
+    var host = req.host || (req.getHeader instanceof Function && req.getHeader("host")) || "unknown";
+
+    return String(host)
+        .replace(/:\d+$/, "")
+        .replace(/^\[|\]$/g, "")
+        .replace(/[^\w-]/g, "_");
+};
+
+/**
+ * Record metrics for requests made with http.request() and https.request()
+ * (and their get() equivalents), or only those made using options.agent:
+ *
+ *   prefix.<name> - time until response headers arrive (histogram)
+ *   prefix.<name>.<status class> - counter (e.g. prefix.<name>.2xx)
+ *   prefix.<name>.errors - counter of failed requests (e.g. refused
+ *     connections)
+ *   prefix.<name>.timeouts - counter of requests that timed out
+ *
+ * Requests that time out aren't also counted as errors. Errors recording
+ * metrics (e.g. names that fail validation) are emitted by metrics rather
+ * than thrown, so they don't break the requests being measured.
+ *
+ * @param {Object} metrics Metrics instance.
+ * @param {Object} options prefix (defaults to "http_client"), nameFor (a
+ * lookup function called with the http.ClientRequest that returns a name;
+ * defaults to the destination host), agent and tags.
+ *
+ * @return {Function} restores the original functions.
+ */
+module.exports = function(metrics, options) {
+    options = options || {};
+
+    var prefix = options.prefix || "http_client";
+    var nameFor = options.nameFor || hostName;
+    var tags = options.tags;
+
+    /**
+     * Call fn, emitting rather than throwing its errors.
+     */
+    var safely = function(fn) {
+        try {
+            fn();
+        } catch (err) {
+            metrics._emitError(err);
+        }
+    };
+
+    var track = function(req) {
+        var name = prefix + "." + nameFor(req);
+        var timer = metrics.time({ tags: tags });
+        var timedOut = false;
+
+        req.once("response", function(res) {
+            safely(function() {
+                timer.stop(name);
+
+                metrics.updateCounter(name + "." + Math.floor(res.statusCode / 100) + "xx", 1, undefined, tags);
+            });
+        });
+
+        req.once("timeout", function() {
+            timedOut = true;
+
+            safely(function() {
+                metrics.updateCounter(name + ".timeouts", 1, undefined, tags);
+            });
+        });
+
+        // count errors without listening for them, which would prevent
+        // unhandled errors from being thrown
+        var emit = req.emit;
+
+        req.emit = function(event) {
+            if (event === "error" && !timedOut) {
+                safely(function() {
+                    metrics.updateCounter(name + ".errors", 1, undefined, tags);
+                });
+            }
+
+            return emit.apply(this, arguments);
+        };
+    };
+
+    if (options.agent) {
+        var agent = options.agent;
+        var addRequest = agent.addRequest;
+        var own = Object.prototype.hasOwnProperty.call(agent, "addRequest");
+
+        agent.addRequest = function(req) {
+            safely(function() {
+                track(req);
+            });
+
+            return addRequest.apply(this, arguments);
+        };
+
+        return function restore() {
+            if (own) {
+                agent.addRequest = addRequest;
+            } else {
+                delete agent.addRequest;
+            }
+        };
+    }
+
+    var originals = [http, https].map(function(module) {
+        var original = {
+            module: module,
+            request: module.request,
+            get: module.get
+        };
+
+        module.request = function() {
+            var req = original.request.apply(this, arguments);
+
+            safely(function() {
+                track(req);
+            });
+
+            return req;
+        };
+
+        module.get = function() {
+            var req = module.request.apply(this, arguments);
+
+            req.end();
+
+            return req;
+        };
+
+        return original;
+    });
+
+    return function restore() {
+        originals.forEach(function(original) {
+            original.module.request = original.request;
+            original.module.get = original.get;
+        });
+    };
+};
@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * Determine whether something is a promise (or promise-like).
+ */
+var isThenable = function(obj) {
+    return !!obj &&
+        (typeof obj === "object" || obj instanceof Function) &&
+        obj.then instanceof Function;
+};
+
+/**
+ * Replace methods on obj (or obj.prototype if obj is a class and the method
+ * isn't static) with wrappers that time calls (as histograms named
+ * prefix.method) and count calls and errors (as prefix.method.calls and
+ * prefix.method.errors).
+ *
+ * Methods may be synchronous, take a (Node-style) callback as their last
+ * argument or return a promise; this is detected for each call.
+ *
+ * @param {Object} metrics Metrics instance.
+ * @param {Object} obj Object (or class) to instrument.
+ * @param {Array} methods Names of the methods to instrument.
+ * @param {Object} options prefix and tags.
+ *
+ * @return {Function} restores the original methods.
+ */
+module.exports = function(metrics, obj, methods, options) {
+    options = options || {};
+    methods = [].concat(methods || []);
+
+    var originals = methods.map(function(method) {
+        var target = obj;
+
+        if (obj instanceof Function && !(obj[method] instanceof Function) && obj.prototype) {
+            target = obj.prototype;
+        }
+
+        if (!(target[method] instanceof Function)) {
+            throw new Error(method + " is not a method");
+        }
+
+        return {
+            target: target,
+            method: method,
+            fn: target[method],
+            own: Object.prototype.hasOwnProperty.call(target, method)
+        };
+    });
+
+    originals.forEach(function(original) {
+        var name = options.prefix ? options.prefix + "." + original.method : original.method;
+        var fn = original.fn;
+
+        original.target[original.method] = function() {
+            var args = Array.prototype.slice.call(arguments);
+            var timer = metrics.time(name, { tags: options.tags });
+            var finished = false;
+
+            var finish = function(err) {
+                if (finished) {
+                    // e.g. a method that calls back and returns a promise
+                    return;
+                }
+
+                finished = true;
+
+                timer.stop();
+
+                if (err) {
+                    metrics.inc(name + ".errors", 1, undefined, options.tags);
+                }
+            };
+
+            metrics.inc(name + ".calls", 1, undefined, options.tags);
+
+            var callback = args[args.length - 1];
+
+            if (callback instanceof Function) {
+                args[args.length - 1] = function(err) {
+                    finish(err);
+
+                    return callback.apply(this, arguments);
+                };
+            }
+
+            var result;
+
+            try {
+                result = fn.apply(this, args);
+            } catch (err) {
+                finish(err);
+
+                throw err;
+            }
+
+            if (isThenable(result)) {
+                return result.then(function(value) {
+                    finish();
+
+                    return value;
+                }, function(err) {
+                    finish(err || new Error("rejected"));
+
+                    throw err;
+                });
+            }
+
+            if (!(callback instanceof Function)) {
+                finish();
+            }
+
+            return result;
+        };
+    });
+
+    return function restore() {
+        originals.forEach(function(original) {
+            if (original.own) {
+                original.target[original.method] = original.fn;
+            } else {
+                delete original.target[original.method];
+            }
+        });
+    };
+};
+
+module.exports.isThenable = isThenable;
@@ -1,6 +1,99 @@
 "use strict";
 
-var util = require("util");
+var util = require("util"),
+    EventEmitter = require("events").EventEmitter,
+    EWMA = require("./ewma"),
+    instrument = require("./instrument"),
+    isThenable = instrument.isThenable,
+    hostCollector = require("./collectors/host"),
+    httpClient = require("./http-client"),
+    processCollector = require("./collectors/process"),
+    Reservoir = require("./reservoir");
+
+/**
+ * Built-in transports.
+ */
+var TRANSPORTS = {
+    log: require("./transports/log"),
+    tcp: require("./transports/tcp"),
+    udp: require("./transports/udp"),
+    unix: require("./transports/unix")
+};
+
+/**
+ * Differences between supported wire formats.
+ *
+ * histogram - type used for histogram values
+ * meter - type used for meter marks (bare names, or "name:n|m" when marking
+ *   more than one event, are used if null)
+ * deletes - whether metrics can be deleted
+ * tags - whether tags are supported (they're folded into names otherwise)
+ */
+var PROTOCOLS = {
+    metricsd: {
+        histogram: "h",
+        meter: null,
+        deletes: true,
+        tags: false
+    },
+    statsd: {
+        histogram: "ms",
+        meter: "c",
+        deletes: false,
+        tags: false
+    },
+    dogstatsd: {
+        histogram: "h",
+        meter: "c",
+        deletes: false,
+        tags: true
+    }
+};
+
+/**
+ * Percentiles reported by local histograms by default.
+ */
+var PERCENTILES = [0.5, 0.75, 0.95, 0.99, 0.999];
+
+/**
+ * Name a percentile (0-1) for reporting, e.g. 0.999 becomes "p999".
+ */
+var percentileName = function(percentile) {
+    if (percentile === 0.5) {
+        return "median";
+    }
+
+    return "p" + String(Number((percentile * 100).toFixed(4))).replace(".", "");
+};
+
+/**
+ * Names of the gauges that summarize a local histogram.
+ */
+var summaryNames = function(percentiles) {
+    return ["min", "max", "mean"]
+        .concat(percentiles.map(percentileName))
+        .concat(["count"]);
+};
+
+/**
+ * Characters that would corrupt the line protocol if used in metric names.
+ */
+var RESERVED = /[\s:|@#]/g;
+
+/**
+ * Ways of dealing with invalid metric names.
+ */
+var SANITIZE_POLICIES = ["replace", "strip", "throw"];
+
+/**
+ * How often to fold marks into local meters' moving averages (seconds).
+ */
+var TICK_INTERVAL = 5;
+
+/**
+ * Names of the gauges that report a local meter's count and rates.
+ */
+var METER_STATS = ["count", "mean_rate", "m1_rate", "m5_rate", "m15_rate"];
 
 /**
  * Export a factory function to create a Metrics instance.
@@ -14,22 +107,114 @@ var util = require("util");
  *     log: false,
  *     logger: console.log,
  *     prefix: null,
- *     timeout: 1000
+ *     timeout: 1000,
+ *     batch: false,
+ *     maxPacketSize: 512,
+ *     flushInterval: 100,
+ *     sampleRate: 1,
+ *     protocol: "metricsd",
+ *     tags: null,
+ *     transport: "udp",
+ *     queueSize: 1000,
+ *     reconnectDelay: 100,
+ *     maxReconnectDelay: 30000,
+ *     path: null,
+ *     dnsTtl: 60000,
+ *     aggregate: false,
+ *     aggregateInterval: 1000,
+ *     localHistograms: false,
+ *     percentiles: [0.5, 0.75, 0.95, 0.99, 0.999],
+ *     reportInterval: 10000,
+ *     sanitize: "replace",
+ *     maxNameLength: null,
+ *     clientMetrics: false,
+ *     clientMetricsInterval: 10000
  * }
  *
  * You may also provide your own dgram-ish socket as options.socket if required.
  *
+ * If options.batch is true, metrics will be buffered and sent as
+ * newline-separated lines in packets of up to options.maxPacketSize bytes.
+ * Buffered metrics are flushed when the next metric wouldn't fit, after
+ * options.flushInterval milliseconds, or when API.close() is called.
+ *
+ * options.sampleRate (0-1) is the default sample rate for counters and
+ * histograms (including timers); it may be overridden per-metric or per-call.
+ *
+ * If options.aggregate is true, counter updates will be summed and gauge
+ * updates will replace each other in memory; the results are written every
+ * options.aggregateInterval milliseconds (and when API.flush() or API.close()
+ * is called).
+ *
+ * If options.localHistograms is true, histograms (including timers) will be
+ * sampled into local reservoirs and summarized (min, max, mean, the requested
+ * options.percentiles and count) as gauges every options.reportInterval
+ * milliseconds (and when API.flush() or API.close() is called). This may also
+ * be enabled for individual histograms. Meters that report their rates do so
+ * at the same interval.
+ *
+ * Metric names containing protocol-reserved characters (whitespace, ":", "|",
+ * "@" and "#"), empty segments ("a..b") or more than options.maxNameLength
+ * characters are dealt with according to options.sanitize: "replace" replaces
+ * reserved characters with underscores, "strip" removes them (both remove
+ * empty segments and truncate long names) and "throw" throws an Error.
+ *
+ * If options.protocol is "statsd", metrics will be written in a form that
+ * statsd understands: histograms become timers, meter marks become counter
+ * increments and deletes are ignored (with a warning). "dogstatsd" is the same,
+ * but histograms are written as histograms and tags are supported.
+ *
+ * options.tags (an object or an array of "key:value" strings) will be added to
+ * every metric. Tags are written as "|#key:value,..." when using dogstatsd and
+ * are folded into the name ("name.key.value") otherwise.
+ *
+ * If options.transport is "tcp", metrics will be written using a persistent
+ * connection that's re-opened with exponential backoff (starting at
+ * options.reconnectDelay milliseconds) when it closes. Up to options.queueSize
+ * metrics will be queued while disconnected; any more will be dropped.
+ *
+ * When using UDP, host is resolved (preferring IPv4 addresses, but falling
+ * back to IPv6) and cached for options.dnsTtl milliseconds before being
+ * re-resolved in the background.
+ *
+ * If options.transport is "unix", metrics will be written to the Unix domain
+ * (stream) socket at options.path. Like the internal UDP socket, the
+ * connection is closed after options.timeout milliseconds of inactivity.
+ *
+ * options.transport may also be an object that implements:
+ *
+ *   write(lines) - write an Array of metrics (without line endings)
+ *   flush(callback) - write anything that's buffered
+ *   close(callback) - flush and release resources
+ *
+ * The built-in transports (log, tcp, udp and unix) are available as
+ * require("metricsd").transports.
+ *
  * If you don't provide a socket, the internal socket will be closed to free
  * up resources every after the metrics instance has been idle for at least
  * options.timeout milliseconds. A delay of 10*timeout is also used to close
  * the internal socket in order to clear Buffers it has been holding on to.
  *
+ * The returned instance is an EventEmitter that emits:
+ *
+ *   error (err) - a transport error occurred (if nothing's listening, errors
+ *     are logged using options.logger)
+ *   drop (count, err) - metrics were dropped by the transport
+ *   flush () - API.flush() completed
+ *
+ * Counts of sent lines and bytes, errors, dropped lines and socket reopens are
+ * available from API.stats(). If options.clientMetrics is true, they'll also
+ * be written (as metricsd.client.sent, .bytes, .errors, .dropped and
+ * .socket_reopens counters and a .queue_depth gauge) every
+ * options.clientMetricsInterval milliseconds until API.close() is called.
+ *
  * If options.enabled is false, all code will run but API.write will never emit
  * metrics (either via socket or log), and therefore the socket will never be
  * opened. Good for testing locally if you don't care about metrics there.
  */
-module.exports = function(options) {
+module.exports = function(options, parent, registerScope) {
     options = options || {};
+    parent = parent || null;
 
     var host = options.host || "localhost";
     var port = options.port || 8125;
@@ -39,101 +224,395 @@ module.exports = function(options) {
     var socketTimeout = options.timeout || 1000;
     var log = 'log' in options ? options.log : false;
     var logger = options.logger || console.log;
+    var batch = 'batch' in options ? options.batch : false;
+    var maxPacketSize = options.maxPacketSize || 512;
+    var flushInterval = options.flushInterval || 100;
+    var sampleRate = 'sampleRate' in options ? options.sampleRate : 1;
+    var protocol = options.protocol || "metricsd";
+
+    if (!PROTOCOLS[protocol]) {
+        throw new Error("unsupported protocol: " + protocol);
+    }
+
+    var types = PROTOCOLS[protocol];
+    var defaultTags = options.tags || null;
+    var transport = options.transport || "udp";
+    var queueSize = options.queueSize || 1000;
+    var reconnectDelay = options.reconnectDelay || 100;
+    var maxReconnectDelay = options.maxReconnectDelay || 30000;
+    var path = options.path || null;
+    var dnsTtl = options.dnsTtl || 60000;
+    var aggregate = 'aggregate' in options ? options.aggregate : false;
+    var aggregateInterval = options.aggregateInterval || 1000;
+    var localHistograms = 'localHistograms' in options ? options.localHistograms : false;
+    var percentiles = options.percentiles || PERCENTILES;
+    var reportInterval = options.reportInterval || 10000;
+    var sanitize = options.sanitize || "replace";
+
+    if (SANITIZE_POLICIES.indexOf(sanitize) < 0) {
+        throw new Error("unsupported sanitization policy: " + sanitize);
+    }
+
+    var maxNameLength = options.maxNameLength || null;
+    var clientMetrics = 'clientMetrics' in options ? options.clientMetrics : false;
+    var clientMetricsInterval = options.clientMetricsInterval || 10000;
+
+    if (typeof transport === "string") {
+        if (!TRANSPORTS[transport]) {
+            throw new Error("unsupported transport: " + transport);
+        }
 
-    var ephemeralSocket = null;
-    var lastUse = null;
-    var gcTimer = null;
-    var closeTimeout = null;
+        if (transport === "unix" && !path) {
+            throw new Error("a path is required when using the unix transport");
+        }
+    } else if (!(transport.write instanceof Function &&
+                 transport.flush instanceof Function &&
+                 transport.close instanceof Function)) {
+        throw new Error("transports must implement write(lines), flush(callback) and close(callback)");
+    }
+
+    var activeTransport = null;
+    var transportClosed = false;
     var middleware = null;
+    var warnings = {};
+    var aggregates = {};
+    var aggregateTimer = null;
+    var reservoirs = {};
+    var reportTimer = null;
+    var reportedMeters = [];
+    var clientTimer = null;
+    var lastStats = null;
+    var polledGauges = [];
+    var collectors = [];
+    var scopes = [];
+    var unregisterScope = null;
 
     /**
-     * Close the ephemeral socket.
+     * Log using the current logger (it may be replaced at any time).
      */
-    var closeSocket = function() {
-        if (ephemeralSocket) {
-            ephemeralSocket.close();
-            ephemeralSocket = null;
+    var logMessage = function() {
+        // scopes log using their parent's logger
+        (parent ? parent.logger : logger).apply(null, arguments);
+    };
 
-            // this was probably called due to closeTimeout, but clear it just
-            // in case
-            clearTimeout(closeTimeout);
-            closeTimeout = null;
+    var stats = {
+        sentLines: 0,
+        sentBytes: 0,
+        sendErrors: 0,
+        droppedLines: 0,
+        socketReopens: 0
+    };
+
+    /**
+     * Emit an error if anything is listening for them, otherwise log it.
+     */
+    var emitError = function(err) {
+        if (API.listeners("error").length > 0) {
+            API.emit("error", err);
+        } else {
+            logMessage("metricsd: %s", err.message);
         }
     };
 
     /**
-     * Clear the socket cleanup timer.
+     * Track what a transport sends and drops and report its errors (if it's
+     * an EventEmitter).
      */
-    var removeTimer = function() {
-        if (gcTimer) {
-            clearInterval(gcTimer);
-            gcTimer = null;
+    var listen = function(t) {
+        if (!(t.on instanceof Function)) {
+            return;
         }
+
+        t.on("send", function(lines, bytes) {
+            stats.sentLines += lines;
+            stats.sentBytes += bytes;
+        });
+
+        t.on("reopen", function() {
+            stats.socketReopens++;
+        });
+
+        t.on("drop", function(count, err) {
+            stats.droppedLines += count;
+
+            API.emit("drop", count, err);
+        });
+
+        t.on("error", function(err) {
+            stats.sendErrors++;
+
+            emitError(err);
+        });
     };
 
+    var logTransport = TRANSPORTS.log({
+        logger: logMessage
+    });
+
+    listen(logTransport);
+
+    if (typeof transport !== "string" && !parent) {
+        // scopes use their parent's transport
+        listen(transport);
+    }
+
     /**
-     * Garbage collect the socket if possible.
+     * Get the transport, creating a built-in transport if necessary.
      */
-    var gcSocket = function() {
-        if (Date.now() - lastUse > socketTimeout) {
-            closeSocket();
-            removeTimer();
+    var getTransport = function() {
+        if (!activeTransport) {
+            if (typeof transport === "string") {
+                activeTransport = TRANSPORTS[transport]({
+                    host: host,
+                    port: port,
+                    socket: providedSocket,
+                    timeout: socketTimeout,
+                    batch: batch,
+                    maxPacketSize: maxPacketSize,
+                    flushInterval: flushInterval,
+                    queueSize: queueSize,
+                    reconnectDelay: reconnectDelay,
+                    maxReconnectDelay: maxReconnectDelay,
+                    path: path,
+                    dnsTtl: dnsTtl,
+                    logger: logMessage
+                });
+
+                listen(activeTransport);
+            } else {
+                activeTransport = transport;
+            }
         }
+
+        return activeTransport;
     };
 
-    var getSocket = function() {
-        if (providedSocket) {
-            return providedSocket;
-        } else {
-            // create an ephemeral socket
-            if (!ephemeralSocket) {
-                ephemeralSocket = require("dgram").createSocket("udp4");
+    // object that will be returned by require("metrics")()
+    var API = new EventEmitter();
+
+    if (parent) {
+        // scopes share their parent's events
+        ["addListener", "on", "once", "removeListener", "removeAllListeners", "listeners", "emit"].forEach(function(method) {
+            API[method] = function() {
+                var rsp = parent[method].apply(parent, arguments);
+
+                return rsp === parent ? API : rsp;
+            };
+        });
+    }
+
+    /**
+     * Get counts of sent lines and bytes, transport errors and dropped lines.
+     */
+    API.stats = function() {
+        if (parent) {
+            return parent.stats();
+        }
+
+        return {
+            sentLines: stats.sentLines,
+            sentBytes: stats.sentBytes,
+            sendErrors: stats.sendErrors,
+            droppedLines: stats.droppedLines,
+            socketReopens: stats.socketReopens
+        };
+    };
+
+    /**
+     * Report an error without throwing it. Used by code that writes metrics
+     * from timers and event listeners, where throwing would crash the
+     * process or break the code being measured.
+     */
+    API._emitError = function(err) {
+        emitError(err instanceof Error ? err : new Error(String(err)));
+    };
+
+    /**
+     * Write anything held by this instance and its scopes (depth first).
+     */
+    var flushLocal = function() {
+        // scopes may unregister themselves once drained
+        scopes.slice().forEach(function(scope) {
+            scope.flush();
+        });
+
+        // reported summaries and rates may be aggregated
+        report();
+        flushAggregates();
+    };
+
+    /**
+     * Write anything held by this instance and its scopes (depth first) and
+     * stop their timers.
+     */
+    var closeLocal = function() {
+        scopes.slice().forEach(function(scope) {
+            scope.close();
+        });
 
-                // don't wait for this to be closed
-                ephemeralSocket.unref && ephemeralSocket.unref();
+        // reported summaries, rates and health metrics may be aggregated
+        report();
 
-                // prevent errors (that we don't care about) from propagating
-                ephemeralSocket.on("error", function(err) {});
+        clearInterval(reportTimer);
+        reportTimer = null;
 
-                // try to clean up the socket periodically to free up resources
-                // if this instance is idle
-                gcTimer = setInterval(gcSocket, 250);
+        if (clientTimer) {
+            reportClientMetrics();
 
-                // don't wait for the timer to exit
-                gcTimer.unref && gcTimer.unref();
+            clearInterval(clientTimer);
+            clientTimer = null;
+        }
+
+        flushAggregates();
+
+        clearInterval(aggregateTimer);
+        aggregateTimer = null;
+
+        polledGauges.forEach(function(gauge) {
+            clearInterval(gauge.timer);
+            gauge.timer = null;
+        });
+
+        polledGauges = [];
 
-                // forcibly close the socket periodically (ignoring last use)
-                // to allow sent Buffers to be GC'd
-                closeTimeout = setTimeout(closeSocket, 10 * socketTimeout);
+        collectors.slice().forEach(function(collector) {
+            collector.stop();
+        });
 
-                // don't wait for the timer to exit
-                closeTimeout.unref && closeTimeout.unref();
+        updateRegistration();
+    };
+
+    /**
+     * Stop something that writes periodically (with a stop() method) when
+     * this instance is closed.
+     */
+    var stopOnClose = function(stoppable) {
+        var stop = stoppable.stop;
+
+        collectors.push(stoppable);
+        updateRegistration();
+
+        stoppable.stop = function() {
+            var idx = collectors.indexOf(stoppable);
+
+            if (idx >= 0) {
+                collectors.splice(idx, 1);
             }
 
-            // the ephemeral socket was last used NOW.
-            lastUse = Date.now();
+            stop.apply(this, arguments);
+
+            updateRegistration();
+        };
 
-            return ephemeralSocket;
+        return stoppable;
+    };
+
+    API._stopOnClose = stopOnClose;
+
+    /**
+     * Register a scope with its parent only while it holds something that
+     * needs flushing or closing, so that throwaway scopes (e.g.
+     * metrics.scope("req").inc("hits")) aren't retained.
+     */
+    var updateRegistration = function() {
+        if (!registerScope) {
+            return;
+        }
+
+        var active = !!(reportTimer || aggregateTimer) ||
+            polledGauges.length > 0 ||
+            collectors.length > 0 ||
+            scopes.length > 0;
+
+        if (active && !unregisterScope) {
+            unregisterScope = registerScope({
+                flush: flushLocal,
+                close: closeLocal
+            });
+        } else if (!active && unregisterScope) {
+            unregisterScope();
+            unregisterScope = null;
         }
     };
 
-    // object that will be returned by require("metrics")()
-    var API = {};
+    API.flush = function(callback) {
+        flushLocal();
+
+        if (parent) {
+            return parent.flush(callback);
+        }
+
+        if (transportClosed) {
+            // there's nothing left to flush
+            return process.nextTick(function() {
+                API.emit("flush");
+
+                callback && callback();
+            });
+        }
+
+        getTransport().flush(function() {
+            API.emit("flush");
+
+            callback && callback.apply(null, arguments);
+        });
+    };
 
     /**
-     * Release resources created by the metrics library.
+     * Release resources created by the metrics library. Aggregated metrics
+     * (including those held by scopes) and anything that the transport is
+     * buffering will be flushed first.
+     *
+     * Scopes flush (rather than close) their parent's transport and are
+     * forgotten by their parent. Provided transports are closed even if
+     * nothing was written to them and can't be re-created, so lines written
+     * after closing are dropped.
      */
-    API.close = function() {
-        closeSocket();
-        removeTimer();
+    API.close = function(callback) {
+        callback = callback || function() {};
+
+        closeLocal();
+
+        if (parent) {
+            // closed scopes are forgotten for good
+            unregisterScope && unregisterScope();
+            unregisterScope = null;
+            registerScope = null;
+
+            parent.flush(callback);
+        } else if (typeof transport !== "string") {
+            if (transportClosed) {
+                return process.nextTick(callback);
+            }
+
+            transportClosed = true;
+            activeTransport = null;
+
+            transport.close(callback);
+        } else if (activeTransport) {
+            activeTransport.close(callback);
+
+            // built-in transports will be re-created if necessary
+            activeTransport = null;
+        } else {
+            process.nextTick(callback);
+        }
     };
 
     Object.defineProperty(API, "enabled", {
         get: function() {
+            if (parent) {
+                return parent.enabled;
+            }
+
             return enabled;
         },
         set: function(value) {
-            enabled = value;
+            if (parent) {
+                parent.enabled = value;
+            } else {
+                enabled = value;
+            }
         },
         enumerable: true
     });
@@ -147,20 +626,36 @@ module.exports = function(options) {
 
     Object.defineProperty(API, "log", {
         get: function() {
+            if (parent) {
+                return parent.log;
+            }
+
             return log;
         },
         set: function(value) {
-            log = value;
+            if (parent) {
+                parent.log = value;
+            } else {
+                log = value;
+            }
         },
         enumerable: true
     });
 
     Object.defineProperty(API, "logger", {
         get: function() {
+            if (parent) {
+                return parent.logger;
+            }
+
             return logger;
         },
         set: function(value) {
-            logger = value;
+            if (parent) {
+                parent.logger = value;
+            } else {
+                logger = value;
+            }
         },
         enumerable: true
     });
@@ -186,6 +681,153 @@ module.exports = function(options) {
         enumerable: true
     });
 
+    Object.defineProperty(API, "batch", {
+        get: function() {
+            return batch;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "maxPacketSize", {
+        get: function() {
+            return maxPacketSize;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "flushInterval", {
+        get: function() {
+            return flushInterval;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "sampleRate", {
+        get: function() {
+            return sampleRate;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "protocol", {
+        get: function() {
+            return protocol;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "tags", {
+        get: function() {
+            return defaultTags;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "transport", {
+        get: function() {
+            return transport;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "queueSize", {
+        get: function() {
+            return queueSize;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "reconnectDelay", {
+        get: function() {
+            return reconnectDelay;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "maxReconnectDelay", {
+        get: function() {
+            return maxReconnectDelay;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "path", {
+        get: function() {
+            return path;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "dnsTtl", {
+        get: function() {
+            return dnsTtl;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "aggregate", {
+        get: function() {
+            return aggregate;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "aggregateInterval", {
+        get: function() {
+            return aggregateInterval;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "localHistograms", {
+        get: function() {
+            return localHistograms;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "percentiles", {
+        get: function() {
+            return percentiles;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "reportInterval", {
+        get: function() {
+            return reportInterval;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "sanitize", {
+        get: function() {
+            return sanitize;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "maxNameLength", {
+        get: function() {
+            return maxNameLength;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "clientMetrics", {
+        get: function() {
+            return clientMetrics;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(API, "clientMetricsInterval", {
+        get: function() {
+            return clientMetricsInterval;
+        },
+        enumerable: true
+    });
+
     Object.defineProperty(API, "socket", {
         get: function() {
             return providedSocket;
@@ -204,9 +846,35 @@ module.exports = function(options) {
         enumerable: false
     });
 
+    /**
+     * Deal with reserved characters, empty segments and long names according
+     * to the sanitization policy.
+     */
+    var sanitizeName = function(name) {
+        if (sanitize === "throw") {
+            if (name.match(RESERVED) ||
+                /^\.|\.\.|\.$/.test(name) ||
+                (maxNameLength && name.length > maxNameLength)) {
+                throw new Error("invalid metric name: " + JSON.stringify(name));
+            }
+
+            return name;
+        }
+
+        name = name
+            .replace(RESERVED, sanitize === "strip" ? "" : "_")
+            .replace(/\.{2,}/g, ".");
+
+        if (maxNameLength) {
+            name = name.slice(0, maxNameLength);
+        }
+
+        return name.replace(/^\.|\.$/g, "");
+    };
+
     /**
      * The name will be appended to prefix if one was specified in
-     * options and whitespace in name will be replaced with underscores.
+     * options and sanitized.
      */
     var formatMetricName = function(name) {
         if (name) {
@@ -216,80 +884,561 @@ module.exports = function(options) {
                 name = name;
             }
 
-            return name.replace(/\s/g, "_");
+            return sanitizeName(name);
+        }
+    };
+
+    API._send = function(str) {
+        if (parent) {
+            // scopes write using their parent's transport
+            return parent._send(str);
+        }
+
+        // transports are responsible for line endings
+        str = str.replace(/\n$/, "");
+
+        if (log) {
+            logTransport.write([str]);
+        } else if (transportClosed) {
+            // provided transports can't be re-created
+            stats.droppedLines++;
+
+            API.emit("drop", 1, new Error("the transport has been closed"));
+        } else {
+            getTransport().write([str]);
+        }
+    };
+
+    /**
+     * Create a scope: an instance that shares this instance's transport,
+     * enabled flag and options, but adds a (printf-style) segment to the
+     * prefix. Scopes can be nested.
+     */
+    API.scope = function(name) {
+        name = formatName(Array.prototype.slice.call(arguments));
+
+        if (!name) {
+            throw new Error("a name is required");
+        }
+
+        var scopeOptions = {};
+
+        Object.keys(options).forEach(function(key) {
+            scopeOptions[key] = options[key];
+        });
+
+        scopeOptions.prefix = formatMetricName(name);
+
+        // scopes are flushed and closed along with this instance (while they
+        // hold anything)
+        return module.exports(scopeOptions, API, function(scope) {
+            scopes.push(scope);
+            updateRegistration();
+
+            return function() {
+                var idx = scopes.indexOf(scope);
+
+                if (idx >= 0) {
+                    scopes.splice(idx, 1);
+                }
+
+                updateRegistration();
+            };
+        });
+    };
+
+    API.write = function(metric) {
+        if (!API.enabled) {
+            return;
+        }
+
+        API._send(metric);
+    };
+
+    var format = function(fmt, args) {
+        if (!args || args.length === 0) {
+            if (fmt instanceof Object) {
+                if (Object.keys(fmt).length === 0) {
+                    return;
+                }
+
+                fmt = Array.prototype.slice.call(fmt);
+                return format.apply(null, [fmt[0], fmt.slice(1)]);
+            }
+
+            return formatMetricName(fmt);
+        }
+
+        // convert an arguments object into an array
+        args = Array.prototype.slice.call(args);
+
+        var prefixed = false;
+
+        if (args[0] instanceof Object) {
+            if (args[0].length > 0) {
+                args[0] = format.apply(null, args[0]);
+                prefixed = true;
+            } else {
+                args[0] = "";
+            }
+        }
+
+        // determine the number of placeholders present in order to format the
+        // string properly (without including the value)
+        var placeholders = ((args[0] || "").match(/%\w/g) || "").length;
+
+        // format the name
+        var name = util.format.apply(null, args.slice(0, placeholders + 1));
+
+        if (!prefixed) {
+            name = formatMetricName(name);
+            prefixed = true;
+        }
+
+        // format the metric
+        return util.format.apply(null, [fmt, name].concat(args.slice(placeholders + 1)));
+    };
+
+    /**
+     * Format and sanitize a (printf-style) metric name without adding the
+     * prefix (it's added when metrics are written).
+     */
+    var formatName = function(args) {
+        if (args.length === 0 || !args[0]) {
+            return;
+        }
+
+        return sanitizeName(util.format.apply(null, args));
+    };
+
+    /**
+     * Split arguments into those that make up a (printf-style) metric name and
+     * those that follow it.
+     */
+    var splitArgs = function(args) {
+        args = Array.prototype.slice.call(args);
+
+        var placeholders = 0;
+
+        if (typeof args[0] === "string") {
+            placeholders = (args[0].match(/%\w/g) || "").length;
+        }
+
+        return [args.slice(0, placeholders + 1), args.slice(placeholders + 1)];
+    };
+
+    /**
+     * Remove a trailing options object (if present) from an array of
+     * arguments.
+     */
+    var popOptions = function(args) {
+        if (Object.prototype.toString.call(args[args.length - 1]) === "[object Object]") {
+            return args.pop();
+        }
+
+        return {};
+    };
+
+    /**
+     * Remove trailing tags (an object or an array that follows the arguments
+     * for a printf-style name) from an array of arguments.
+     */
+    var popTags = function(args) {
+        var placeholders = -1;
+
+        if (typeof args[0] === "string") {
+            placeholders = (args[0].match(/%\w/g) || "").length;
+        }
+
+        if (Array.isArray(args[args.length - 1]) && args.length - 1 > placeholders) {
+            return args.pop();
+        }
+
+        return popOptions(args);
+    };
+
+    /**
+     * Normalize tags (either an object or an array of "key:value" strings or
+     * [key, value] pairs) into an array of [key, value] pairs.
+     */
+    var normalizeTags = function(tags) {
+        if (!tags) {
+            return [];
+        }
+
+        if (Array.isArray(tags)) {
+            return tags.map(function(tag) {
+                if (Array.isArray(tag)) {
+                    return tag;
+                }
+
+                var idx = String(tag).indexOf(":");
+
+                if (idx < 0) {
+                    return [String(tag), null];
+                }
+
+                return [tag.slice(0, idx), tag.slice(idx + 1)];
+            });
+        }
+
+        return Object.keys(tags).map(function(key) {
+            return [key, tags[key]];
+        });
+    };
+
+    /**
+     * Merge sets of tags; later tags replace earlier tags with the same key.
+     */
+    var mergeTags = function() {
+        var merged = [];
+        var positions = {};
+
+        Array.prototype.slice.call(arguments).forEach(function(tags) {
+            normalizeTags(tags).forEach(function(tag) {
+                if (tag[0] in positions) {
+                    merged[positions[tag[0]]] = tag;
+                } else {
+                    positions[tag[0]] = merged.length;
+                    merged.push(tag);
+                }
+            });
+        });
+
+        return merged;
+    };
+
+    /**
+     * Replace characters that would otherwise corrupt a tag (or a name segment
+     * if tags are being folded into the name).
+     */
+    var formatTag = function(str, reserved) {
+        return String(str).replace(reserved, "_");
+    };
+
+    /**
+     * Produce a metric string in the configured protocol.
+     */
+    var serialize = function(name, value, type, rate, tagSuffix) {
+        var str = name;
+
+        if (value !== undefined) {
+            str += ":" + value;
+        }
+
+        if (type) {
+            str += "|" + type;
+        }
+
+        if (rate < 1) {
+            str += "|@" + rate;
+        }
+
+        return str + tagSuffix;
+    };
+
+    /**
+     * Write aggregated counters and gauges.
+     */
+    var flushAggregates = function() {
+        var entries = aggregates;
+        var keys = Object.keys(entries);
+
+        aggregates = {};
+
+        if (keys.length === 0) {
+            // nothing's being aggregated; the timer will be restarted when
+            // something is
+            clearInterval(aggregateTimer);
+            aggregateTimer = null;
+
+            return updateRegistration();
+        }
+
+        keys.forEach(function(key) {
+            var entry = entries[key];
+
+            API.write(serialize(entry.name, entry.value, entry.type, 1, entry.tagSuffix));
+        });
+    };
+
+    /**
+     * Add a counter update to the running total or replace a gauge's value.
+     */
+    var aggregateMetric = function(key, name, value, type, tagSuffix) {
+        if (!API.enabled) {
+            return;
+        }
+
+        var entry = aggregates[key];
+
+        if (!entry) {
+            entry = aggregates[key] = {
+                name: name,
+                type: type,
+                tagSuffix: tagSuffix,
+                value: 0
+            };
+        }
+
+        if (type === "c") {
+            entry.value += Number(value);
+        } else {
+            entry.value = value;
+        }
+
+        if (!aggregateTimer) {
+            aggregateTimer = setInterval(flushAggregates, aggregateInterval);
+
+            // don't wait for the timer to exit
+            aggregateTimer.unref && aggregateTimer.unref();
+
+            updateRegistration();
+        }
+    };
+
+    /**
+     * Whether a histogram should be summarized locally.
+     */
+    var isLocal = function(histogram) {
+        if (histogram && histogram.local !== undefined) {
+            return histogram.local;
+        }
+
+        return localHistograms;
+    };
+
+    /**
+     * Write summaries of local histograms as gauges, resetting their
+     * reservoirs unless configured otherwise.
+     */
+    var reportHistograms = function() {
+        Object.keys(reservoirs).forEach(function(key) {
+            var entry = reservoirs[key];
+
+            if (entry.reservoir.count === 0) {
+                // nothing has been recorded since the last report
+                delete reservoirs[key];
+                return;
+            }
+
+            var snapshot = entry.reservoir.snapshot(entry.percentiles);
+            var values = {
+                min: snapshot.min,
+                max: snapshot.max,
+                mean: snapshot.mean,
+                count: snapshot.count
+            };
+
+            entry.percentiles.forEach(function(percentile) {
+                values[percentileName(percentile)] = snapshot.percentiles[percentile];
+            });
+
+            summaryNames(entry.percentiles).forEach(function(stat, i) {
+                API.write(serialize(entry.names[i], values[stat], "g", 1, entry.tagSuffix));
+            });
+
+            if (entry.reset) {
+                entry.reservoir.clear();
+            }
+        });
+    };
+
+    /**
+     * Add a value to a local histogram's reservoir.
+     */
+    var sampleHistogram = function(key, name, value, tagSuffix, histogram) {
+        if (!API.enabled) {
+            return;
+        }
+
+        var entry = reservoirs[key];
+
+        if (!entry) {
+            var entryPercentiles = (histogram && histogram.percentiles) || percentiles;
+
+            entry = {
+                // check the summaries' names now rather than when reporting
+                names: summaryNames(entryPercentiles).map(function(stat) {
+                    return sanitizeName(name + "." + stat);
+                }),
+                tagSuffix: tagSuffix,
+                percentiles: entryPercentiles,
+                reset: histogram && histogram.reset !== undefined ? histogram.reset : true,
+                reservoir: new Reservoir()
+            };
+
+            reservoirs[key] = entry;
+        }
+
+        entry.reservoir.update(Number(value));
+
+        startReporting();
+    };
+
+    /**
+     * Write the counts and rates of meters that report them as gauges.
+     */
+    var reportMeters = function() {
+        reportedMeters.forEach(function(meter) {
+            var values = [
+                meter.count,
+                meter.meanRate,
+                meter.oneMinuteRate,
+                meter.fiveMinuteRate,
+                meter.fifteenMinuteRate
+            ];
+
+            try {
+                METER_STATS.forEach(function(stat, i) {
+                    API.updateGauge(meter.name + "." + stat, values[i], meter.tags);
+                });
+            } catch (err) {
+                // names that fail validation mustn't crash the timer
+                emitError(err);
+            }
+        });
+    };
+
+    /**
+     * Write summaries of local histograms and meters.
+     */
+    var report = function() {
+        reportHistograms();
+        reportMeters();
+
+        if (Object.keys(reservoirs).length === 0 && reportedMeters.length === 0) {
+            // nothing's being reported; the timer will be restarted when
+            // something is
+            clearInterval(reportTimer);
+            reportTimer = null;
+
+            updateRegistration();
+        }
+    };
+
+    /**
+     * Start reporting periodically (if necessary).
+     */
+    var startReporting = function() {
+        if (!reportTimer) {
+            reportTimer = setInterval(report, reportInterval);
+
+            // don't wait for the timer to exit
+            reportTimer.unref && reportTimer.unref();
+
+            updateRegistration();
         }
     };
 
-    API._send = function(str) {
-        if (log) {
-            logger("metric=%s", str);
+    /**
+     * Write a metric in the configured protocol.
+     *
+     * nameArgs - name (and placeholder values) of the metric
+     * value - value of the metric (omitted if undefined)
+     * type - type of the metric (omitted if null)
+     * rate - sample rate (falls back to the default sample rate if undefined)
+     * tags - tags to add to the default tags
+     * histogram - settings (local, percentiles, reset) for a Histogram
+     *
+     * Sampled metrics include the rate so that the server can scale values
+     * back up. Tags are folded into the name if the protocol doesn't support
+     * them. Counters and gauges are aggregated (and not sampled) if
+     * aggregation is enabled. Local histograms are summarized rather than
+     * written.
+     */
+    var writeMetric = function(nameArgs, value, type, rate, tags, histogram) {
+        if (!nameArgs[0]) {
             return;
         }
 
-        // append trailing newlines if necessary
-        if (str.lastIndexOf("\n") !== str.length - 1) {
-            str = str + "\n";
-        }
-
-        var buf = new Buffer(str);
+        var name = format("%s", nameArgs);
+        var tagSuffix = "";
 
-        getSocket().send(buf, 0, buf.length, port, host, function(err, bytes) {
-            if (err) {
-                // console.log("Error while sending data:", err.message);
-            }
-        });
-    };
-
-    API.write = function(metric) {
-        if (!enabled) {
+        if (!name) {
+            // nothing was left after sanitizing
             return;
         }
 
-        API._send(metric);
-    };
+        tags = mergeTags(defaultTags, tags);
 
-    var format = function(fmt, args) {
-        if (!args || args.length === 0) {
-            if (fmt instanceof Object) {
-                if (Object.keys(fmt).length === 0) {
-                    return;
+        if (!types.tags) {
+            tags.forEach(function(tag) {
+                name += "." + formatTag(tag[0], /[\s.:|@#]/g);
+
+                if (tag[1] !== null && tag[1] !== undefined) {
+                    name += "." + formatTag(tag[1], /[\s.:|@#]/g);
                 }
+            });
 
-                fmt = Array.prototype.slice.call(fmt);
-                return format.apply(null, [fmt[0], fmt.slice(1)]);
+            if (tags.length > 0) {
+                // folded tags count towards the name's length
+                name = sanitizeName(name);
             }
+        } else if (tags.length > 0) {
+            tagSuffix = "|#" + tags.map(function(tag) {
+                if (tag[1] === null || tag[1] === undefined) {
+                    return formatTag(tag[0], /[\s:|@#,]/g);
+                }
 
-            return formatMetricName(fmt);
+                return formatTag(tag[0], /[\s:|@#,]/g) + ":" + formatTag(tag[1], /[\s|@#,]/g);
+            }).join(",");
         }
 
-        // convert an arguments object into an array
-        args = Array.prototype.slice.call(args);
+        var key = name + "|" + type + tagSuffix;
+        var local = type === types.histogram && isLocal(histogram);
 
-        var prefixed = false;
+        if (value === "delete") {
+            var entry = reservoirs[key];
 
-        if (args[0] instanceof Object) {
-            if (args[0].length > 0) {
-                args[0] = format.apply(null, args[0]);
-                prefixed = true;
-            } else {
-                args[0] = "";
+            // don't resurrect deleted metrics
+            delete aggregates[key];
+            delete reservoirs[key];
+
+            if (!types.deletes) {
+                if (!warnings.deletes) {
+                    warnings.deletes = true;
+                    logger("metricsd: deletes are not supported by %s; ignoring them", protocol);
+                }
+
+                return;
+            }
+
+            if (local) {
+                // delete the gauges that summarize the histogram
+                var deleted = entry ? entry.percentiles : (histogram && histogram.percentiles) || percentiles;
+
+                return summaryNames(deleted).forEach(function(stat) {
+                    API.write(serialize(sanitizeName(name + "." + stat), "delete", "g", 1, tagSuffix));
+                });
             }
+        } else if (local) {
+            return sampleHistogram(key, name, value, tagSuffix, histogram);
+        } else if (aggregate && (type === "c" || type === "g")) {
+            return aggregateMetric(key, name, value, type, tagSuffix);
         }
 
-        // determine the number of placeholders present in order to format the
-        // string properly (without including the value)
-        var placeholders = ((args[0] || "").match(/%\w/g) || "").length;
+        if (rate === undefined || rate === null) {
+            rate = sampleRate;
+        }
 
-        // format the name
-        var name = util.format.apply(null, args.slice(0, placeholders + 1));
+        if (rate < 1 && Math.random() >= rate) {
+            return;
+        }
 
-        if (!prefixed) {
-            name = formatMetricName(name);
-            prefixed = true;
+        API.write(serialize(name, value, type, rate, tagSuffix));
+    };
+
+    /**
+     * Extract an optional sample rate and optional tags from the arguments
+     * following a value.
+     */
+    var sampleRateAndTags = function(rest) {
+        if (typeof rest[0] === "number" || rest[0] === undefined || rest[0] === null) {
+            return [rest[0], rest[1]];
         }
 
-        // format the metric
-        return util.format.apply(null, [fmt, name].concat(args.slice(placeholders + 1)));
+        return [undefined, rest[0]];
     };
 
     API.format = function(fmt, args) {
@@ -298,34 +1447,50 @@ module.exports = function(options) {
         return format.apply(null, [fmt, args]);
     };
 
-    API.deleteCounter = function(name) {
-        API.write(format("%s:delete|c", arguments));
+    /**
+     * Write a delete command if the protocol supports them, otherwise warn
+     * (once).
+     */
+    var writeDelete = function(type, args, histogram) {
+        args = splitArgs(args);
+
+        writeMetric(args[0], "delete", type, 1, args[1][0], histogram);
+    };
+
+    API.deleteCounter = function(name, tags) {
+        writeDelete("c", arguments);
     };
 
-    API.deleteGauge = function(name) {
-        API.write(format("%s:delete|g", arguments));
+    API.deleteGauge = function(name, tags) {
+        writeDelete("g", arguments);
     };
 
-    API.deleteHistogram = function(name) {
-        API.write(format("%s:delete|h", arguments));
+    API.deleteHistogram = function(name, tags) {
+        writeDelete(types.histogram, arguments);
     };
 
-    API.deleteMeter = function(name) {
-        API.write(format("%s:delete", arguments));
+    API.deleteMeter = function(name, tags) {
+        writeDelete(null, arguments);
     };
 
-    API.updateCounter = function(name, value) {
-        // TODO sample rate
-        API.write(format("%s:%s|c", arguments));
+    API.updateCounter = function(name, value, sampleRate, tags) {
+        var args = splitArgs(arguments);
+        var extra = sampleRateAndTags(args[1].slice(1));
+
+        writeMetric(args[0], args[1][0], "c", extra[0], extra[1]);
     };
 
-    API.updateGauge = function(name, value) {
-        API.write(format("%s:%s|g", arguments));
+    API.updateGauge = function(name, value, tags) {
+        var args = splitArgs(arguments);
+
+        writeMetric(args[0], args[1][0], "g", 1, args[1][1]);
     };
 
-    API.updateHistogram = function(name, value) {
-        // TODO sample rate
-        API.write(format("%s:%s|h", arguments));
+    API.updateHistogram = function(name, value, sampleRate, tags) {
+        var args = splitArgs(arguments);
+        var extra = sampleRateAndTags(args[1].slice(1));
+
+        writeMetric(args[0], args[1][0], types.histogram, extra[0], extra[1]);
     };
 
     /**
@@ -334,44 +1499,53 @@ module.exports = function(options) {
      * Can be incremented or decremented, which can be useful if you don't have
      * an absolute value to hand. If you do, it's probably better to use
      * a gauge rather than worry about how to initialize a counter correctly ;)
+     *
+     * Options (optionally provided as the last argument):
+     *   sampleRate - overrides the default sample rate
+     *   tags - tags to add to every update
      */
     var Counter = function(name) {
-        name = format(arguments);
+        var args = Array.prototype.slice.call(arguments);
+        var options = popOptions(args);
+
+        name = formatName(args);
 
         if (!name) {
             throw new Error("a name is required");
         }
 
         if (!(this instanceof Counter)) {
-            return new Counter(name);
+            return new Counter(name, options);
         }
 
         this.name = name;
+        this.sampleRate = options.sampleRate;
+        this.tags = options.tags;
     };
 
     /**
      * Increment the counter.
      */
-    Counter.prototype.inc = function(value) {
+    Counter.prototype.inc = function(value, tags) {
         value = value || 1;
 
-        API.updateCounter(this.name, value);
+        API.updateCounter(this.name, value, this.sampleRate, mergeTags(this.tags, tags));
     };
 
     /**
      * Decrement the counter.
      */
-    Counter.prototype.dec = function(value) {
+    Counter.prototype.dec = function(value, tags) {
         value = (value && 0 - value) || -1;
 
-        API.updateCounter(this.name, value);
+        API.updateCounter(this.name, value, this.sampleRate, mergeTags(this.tags, tags));
     };
 
     /**
      * Tell metricsd to stop tracking this counter.
      */
     Counter.prototype.delete = function() {
-        API.deleteCounter(this.name);
+        API.deleteCounter(this.name, this.tags);
     };
 
     /**
@@ -379,95 +1553,314 @@ module.exports = function(options) {
      *
      * For measuring a continuous value, such as current queue or database
      * size.
+     *
+     * If a function is provided after the name, it will be polled for the
+     * gauge's value (it may return a promise).
+     *
+     * Options (optionally provided as the last argument):
+     *   tags - tags to add to every update
+     *   interval - how often to poll the function (milliseconds; defaults to
+     *     reportInterval)
      */
     var Gauge = function(name) {
-        name = format(arguments);
+        var args = Array.prototype.slice.call(arguments);
+        var options = popOptions(args);
+        var fn = args[args.length - 1] instanceof Function ? args.pop() : null;
+
+        name = formatName(args);
 
         if (!name) {
             throw new Error("a name is required");
         }
 
         if (!(this instanceof Gauge)) {
-            return new Gauge(name);
+            return fn ? new Gauge(name, fn, options) : new Gauge(name, options);
         }
 
         this.name = name;
+        this.tags = options.tags;
+        this.fn = fn;
+        this.interval = options.interval || reportInterval;
+        this.polling = false;
+        this.timer = null;
+
+        if (fn) {
+            this.timer = setInterval(this.poll.bind(this), this.interval);
+
+            // don't wait for the timer to exit
+            this.timer.unref && this.timer.unref();
+
+            polledGauges.push(this);
+
+            updateRegistration();
+        }
     };
 
     /**
      * Tell metricsd to stop tracking this gauge.
      */
     Gauge.prototype.delete = function() {
-        API.deleteGauge(this.name);
+        API.deleteGauge(this.name, this.tags);
     };
 
     /**
      * Update the gauge's value.
      */
-    Gauge.prototype.update = function(value) {
-        API.updateGauge(this.name, value);
+    Gauge.prototype.update = function(value, tags) {
+        API.updateGauge(this.name, value, mergeTags(this.tags, tags));
+    };
+
+    /**
+     * Call the gauge's callback and update the gauge with the value it
+     * returns (or resolves to). Errors are emitted (or logged) rather than
+     * thrown; undefined and null values are skipped.
+     */
+    Gauge.prototype.poll = function() {
+        var self = this;
+
+        if (!this.fn || this.polling) {
+            // the previous value hasn't resolved yet
+            return;
+        }
+
+        var update = function(value) {
+            if (value === undefined || value === null) {
+                return;
+            }
+
+            try {
+                self.update(value);
+            } catch (err) {
+                // e.g. the name failed validation
+                API._emitError(err);
+            }
+        };
+
+        var value;
+
+        try {
+            value = this.fn();
+        } catch (err) {
+            // anything can be thrown
+            return API._emitError(err);
+        }
+
+        if (!isThenable(value)) {
+            return update(value);
+        }
+
+        this.polling = true;
+
+        value.then(function(value) {
+            self.polling = false;
+
+            update(value);
+        }, function(err) {
+            self.polling = false;
+
+            if (!(err instanceof Error)) {
+                err = new Error(err === undefined || err === null ? "rejected" : String(err));
+            }
+
+            emitError(err);
+        });
+    };
+
+    /**
+     * Stop polling the gauge's callback and tell metricsd to stop tracking
+     * it.
+     */
+    Gauge.prototype.unregister = function() {
+        var idx = polledGauges.indexOf(this);
+
+        if (idx >= 0) {
+            polledGauges.splice(idx, 1);
+        }
+
+        clearInterval(this.timer);
+        this.timer = null;
+
+        updateRegistration();
+
+        this.delete();
     };
 
     /**
      * Create a named histogram.
+     *
+     * Options (optionally provided as the last argument):
+     *   sampleRate - overrides the default sample rate
+     *   tags - tags to add to every update
+     *   local - overrides localHistograms
+     *   percentiles - overrides the percentiles reported when local
+     *   reset - whether to reset the reservoir after reporting (when local;
+     *     defaults to true)
      */
     var Histogram = function(name) {
-        name = format(arguments);
+        var args = Array.prototype.slice.call(arguments);
+        var options = popOptions(args);
+
+        name = formatName(args);
 
         if (!name) {
             throw new Error("a name is required");
         }
 
         if (!(this instanceof Histogram)) {
-            return new Histogram(name);
+            return new Histogram(name, options);
         }
 
         this.name = name;
+        this.sampleRate = options.sampleRate;
+        this.tags = options.tags;
+        this.local = options.local;
+        this.percentiles = options.percentiles;
+        this.reset = options.reset;
     };
 
     /**
      * Tell metricsd to stop tracking this histogram.
      */
     Histogram.prototype.delete = function() {
-        API.deleteHistogram(this.name);
+        writeDelete(types.histogram, [this.name, this.tags], this);
     };
 
     /**
      * Update the histogram's value.
      */
-    Histogram.prototype.update = function(value) {
-        API.updateHistogram(this.name, value);
+    Histogram.prototype.update = function(value, tags) {
+        writeMetric([this.name], value, types.histogram, this.sampleRate, mergeTags(this.tags, tags), this);
     };
 
     /**
      * Create a named Meter.
+     *
+     * Options (optionally provided as the last argument):
+     *   tags - tags to add to every mark
+     *   local - whether to track the count, mean rate and 1, 5 and 15-minute
+     *     moving average rates (events/second) in-process
+     *   report - whether to write the count and rates as gauges every
+     *     reportInterval milliseconds (implies local)
      */
     var Meter = function(name) {
-        name = format(arguments);
+        var args = Array.prototype.slice.call(arguments);
+        var options = popOptions(args);
+
+        name = formatName(args);
 
         if (!name) {
             throw new Error("a name is required");
         }
 
         if (!(this instanceof Meter)) {
-            return new Meter(name);
+            return new Meter(name, options);
         }
 
         this.name = name;
+        this.tags = options.tags;
+        this.report = !!options.report;
+        this.local = this.report || !!options.local;
+
+        if (this.local) {
+            this.count = 0;
+            this.startTime = Date.now();
+            this.lastTick = this.startTime;
+            this.rates = [new EWMA(1, TICK_INTERVAL), new EWMA(5, TICK_INTERVAL), new EWMA(15, TICK_INTERVAL)];
+
+            Object.defineProperty(this, "meanRate", {
+                get: function() {
+                    var elapsed = (Date.now() - this.startTime) / 1000;
+
+                    return elapsed > 0 ? this.count / elapsed : 0;
+                },
+                enumerable: true
+            });
+
+            ["oneMinuteRate", "fiveMinuteRate", "fifteenMinuteRate"].forEach(function(property, i) {
+                Object.defineProperty(this, property, {
+                    get: function() {
+                        this.tick();
+
+                        return this.rates[i].rate;
+                    },
+                    enumerable: true
+                });
+            }, this);
+        }
+
+        if (this.report) {
+            // fail early if the reported gauges' names are invalid
+            METER_STATS.forEach(function(stat) {
+                formatMetricName(name + "." + stat);
+            });
+
+            reportedMeters.push(this);
+
+            startReporting();
+        }
     };
 
     /**
-     * Tell metricsd to stop tracking this meter.
+     * Tell metricsd to stop tracking this meter (and stop reporting its
+     * rates).
      */
     Meter.prototype.delete = function() {
-        API.deleteMeter(this.name);
+        API.deleteMeter(this.name, this.tags);
+
+        var idx = reportedMeters.indexOf(this);
+
+        if (idx >= 0) {
+            reportedMeters.splice(idx, 1);
+
+            METER_STATS.forEach(function(stat) {
+                API.deleteGauge(this.name + "." + stat, this.tags);
+            }, this);
+        }
+    };
+
+    /**
+     * Mark one (or n) occurrences of the events that this meter is tracking.
+     * Tags may be provided as the last argument.
+     */
+    Meter.prototype.mark = function(n, tags) {
+        if (typeof n !== "number") {
+            tags = n;
+            n = 1;
+        }
+
+        if (this.local) {
+            this.tick();
+
+            this.count += n;
+
+            this.rates.forEach(function(rate) {
+                rate.update(n);
+            });
+        }
+
+        if (this.report) {
+            startReporting();
+        }
+
+        API.mark(this.name, n, mergeTags(this.tags, tags));
     };
 
     /**
-     * Mark an occurrence of the events that this meter is tracking.
+     * Fold marks into the moving averages once per elapsed tick interval.
+     * Ticks are applied lazily (when marking or reading rates) rather than
+     * using a timer.
      */
-    Meter.prototype.mark = function() {
-        API.mark(this.name);
+    Meter.prototype.tick = function() {
+        var now = Date.now();
+        var ticks = Math.floor((now - this.lastTick) / (TICK_INTERVAL * 1000));
+
+        this.lastTick += ticks * TICK_INTERVAL * 1000;
+
+        for (var i = 0; i < ticks; i++) {
+            this.rates.forEach(function(rate) {
+                rate.tick();
+            });
+        }
     };
 
     /**
@@ -480,15 +1873,24 @@ module.exports = function(options) {
     /**
      * Create a named timer and start it immediately. If you don't wish to start
      * timing immediately, call start() when you're ready.
+     *
+     * Options (optionally provided as the last argument):
+     *   sampleRate - overrides the default sample rate
+     *   tags - tags to add to every lap and stop
      */
     var Timer = function(name) {
-        name = format(arguments);
+        var args = Array.prototype.slice.call(arguments);
+        var options = popOptions(args);
+
+        name = formatName(args);
 
         if (!(this instanceof Timer)) {
-            return new Timer(name);
+            return new Timer(name, options);
         }
 
         this.name = name;
+        this.sampleRate = options.sampleRate;
+        this.tags = options.tags;
         this.startTime = null;
         this.lapStartTime = null;
         this.laps = [];
@@ -515,10 +1917,13 @@ module.exports = function(options) {
     };
 
     /**
-     * Measure a lap time.
+     * Measure a lap time. Tags may be provided as the last argument.
      */
     Timer.prototype.lap = function(name) {
-        name = format(arguments);
+        var args = Array.prototype.slice.call(arguments);
+        var tags = popTags(args);
+
+        name = formatName(args);
 
         var lapTime = process.hrtime(this.lapStartTime);
         this.resetLapTimer();
@@ -529,7 +1934,7 @@ module.exports = function(options) {
         });
 
         if (name) {
-            API.updateHistogram(name, Math.round(hrtimeToMS(lapTime)));
+            API.updateHistogram(name, Math.round(hrtimeToMS(lapTime)), this.sampleRate, mergeTags(this.tags, tags));
         }
 
         return hrtimeToMS(lapTime);
@@ -555,10 +1960,13 @@ module.exports = function(options) {
     };
 
     /**
-     * Stop the timer.
+     * Stop the timer. Tags may be provided as the last argument.
      */
     Timer.prototype.stop = function(name) {
-        name = format(arguments) || this.name;
+        var args = Array.prototype.slice.call(arguments);
+        var tags = popTags(args);
+
+        name = formatName(args) || this.name;
 
         // repeated calls to stop should do nothing
         if (!this.stopped) {
@@ -570,7 +1978,7 @@ module.exports = function(options) {
             elapsed -= this.pausedDuration;
 
             if (name) {
-                API.updateHistogram(name, Math.round(elapsed));
+                API.updateHistogram(name, Math.round(elapsed), this.sampleRate, mergeTags(this.tags, tags));
             }
 
             return elapsed;
@@ -633,12 +2041,12 @@ module.exports = function(options) {
      */
     API.count = function(name) {
         try {
-            return new Counter(format(name));
+            return Counter.apply(null, arguments);
         } catch (e) {}
     };
 
     /**
-     * Create a named gauge.
+     * Create a named gauge (optionally polling a function for its value).
      */
     API.gauge = function(name) {
         try {
@@ -646,6 +2054,39 @@ module.exports = function(options) {
         } catch (e) {}
     };
 
+    /**
+     * Register a gauge whose value is provided by calling fn (which may
+     * return a promise) every interval milliseconds (defaulting to
+     * reportInterval).
+     *
+     * @return {Gauge} call unregister() to stop polling and delete the gauge.
+     */
+    API.registerGauge = function(name, fn, interval, options) {
+        var gaugeOptions = {};
+
+        Object.keys(options || {}).forEach(function(key) {
+            gaugeOptions[key] = options[key];
+        });
+
+        gaugeOptions.interval = interval;
+
+        return API.gauge(name, fn, gaugeOptions);
+    };
+
+    /**
+     * Unregister polled gauges with the given name (stopping polling and
+     * deleting them).
+     */
+    API.unregisterGauge = function(name) {
+        name = formatName(Array.prototype.slice.call(arguments));
+
+        polledGauges.filter(function(gauge) {
+            return gauge.name === name;
+        }).forEach(function(gauge) {
+            gauge.unregister();
+        });
+    };
+
     /**
      * Create a named histogram.
      */
@@ -667,33 +2108,45 @@ module.exports = function(options) {
     /**
      * Increment a counter.
      */
-    API.inc = function(name, value) {
+    API.inc = function(name, value, sampleRate, tags) {
         if (arguments.length > 0) {
             value = value || 1;
 
-            API.updateCounter(name, value);
+            API.updateCounter(name, value, sampleRate, tags);
         }
     };
 
     /**
      * Decrement a counter.
      */
-    API.dec = function(name, value) {
+    API.dec = function(name, value, sampleRate, tags) {
         if (arguments.length > 0) {
             value = (value && 0 - value) || -1;
 
-            API.updateCounter(name, value);
+            API.updateCounter(name, value, sampleRate, tags);
         }
     };
 
     /**
-     * For measuring the rate of occurrences of the named event.
+     * For measuring the rate of occurrences of the named event. The number of
+     * occurrences (defaults to 1) may optionally be provided.
      */
-    API.mark = function(name) {
-        name = format(arguments);
+    API.mark = function(name, n, tags) {
+        var args = splitArgs(arguments);
+        var rest = args[1];
 
-        if (name) {
-            API.write(name);
+        n = 1;
+
+        if (typeof rest[0] === "number") {
+            n = rest.shift();
+        }
+
+        if (types.meter) {
+            writeMetric(args[0], n, types.meter, 1, rest[0]);
+        } else if (n !== 1) {
+            writeMetric(args[0], n, "m", 1, rest[0]);
+        } else {
+            writeMetric(args[0], undefined, null, 1, rest[0]);
         }
     };
 
@@ -730,5 +2183,229 @@ module.exports = function(options) {
         return callback;
     };
 
+    /**
+     * Stop a timer that was timing an asynchronous operation, recording the
+     * outcome.
+     *
+     * Options:
+     *   separate - record successes and failures as name.ok and name.error
+     *   countRejections - count failures as name.rejected
+     */
+    var stopAsyncTimer = function(timer, succeeded, options) {
+        if (options.separate) {
+            timer.stop(timer.name + (succeeded ? ".ok" : ".error"));
+        } else {
+            timer.stop();
+        }
+
+        if (!succeeded && options.countRejections) {
+            API.updateCounter(timer.name + ".rejected", 1, undefined, options.tags);
+        }
+    };
+
+    /**
+     * Stop a timer when a promise settles. Returns a promise that settles in
+     * the same way.
+     */
+    var timeSettlement = function(timer, promise, options) {
+        return promise.then(function(value) {
+            stopAsyncTimer(timer, true, options);
+
+            return value;
+        }, function(err) {
+            stopAsyncTimer(timer, false, options);
+
+            throw err;
+        });
+    };
+
+    /**
+     * Time from now until the promise settles.
+     *
+     * Returns a promise that settles in the same way. Name and promise are
+     * both required.
+     *
+     * Options (optionally provided as the last argument):
+     *   sampleRate - overrides the default sample rate
+     *   tags - tags to add to the timer (and rejection counter)
+     *   separate - record successes and failures as name.ok and name.error
+     *   countRejections - count rejections as name.rejected
+     */
+    API.timePromise = function(name, promise) {
+        var args = Array.prototype.slice.call(arguments);
+        var options = isThenable(args[args.length - 1]) ? {} : popOptions(args);
+
+        promise = args.pop();
+
+        if (!isThenable(promise)) {
+            throw new Error("a promise is required");
+        }
+
+        if (!args[0]) {
+            throw new Error("a name is required");
+        }
+
+        var timer = Timer.apply(null, args.concat([options]));
+
+        return timeSettlement(timer, promise, options);
+    };
+
+    /**
+     * Call fn (e.g. an async function) and time it until the promise it
+     * returns settles. Errors thrown synchronously are recorded as failures.
+     *
+     * Returns fn's return value (a promise that settles in the same way if fn
+     * returned a promise). Name and function are both required. Options are
+     * the same as for timePromise.
+     */
+    API.timeAsync = function(name, fn) {
+        var args = Array.prototype.slice.call(arguments);
+        var options = popOptions(args);
+
+        fn = args.pop();
+
+        if (!(fn instanceof Function)) {
+            throw new Error("a function is required");
+        }
+
+        if (!args[0]) {
+            throw new Error("a name is required");
+        }
+
+        var timer = Timer.apply(null, args.concat([options]));
+        var result;
+
+        try {
+            result = fn();
+        } catch (err) {
+            stopAsyncTimer(timer, false, options);
+
+            throw err;
+        }
+
+        if (!isThenable(result)) {
+            stopAsyncTimer(timer, true, options);
+
+            return result;
+        }
+
+        return timeSettlement(timer, result, options);
+    };
+
+    /**
+     * Time and count calls to (and errors from) an object's (or class's)
+     * methods. Returns a function that restores the original methods.
+     *
+     * Options:
+     *   prefix - prefix for metric names (defaults to none)
+     *   tags - tags to add to every metric
+     */
+    API.instrument = function(obj, methods, options) {
+        return instrument(API, obj, methods, options);
+    };
+
+    /**
+     * Periodically report process runtime metrics (memory, event loop lag,
+     * active handles and requests, CPU time and uptime) as gauges until
+     * stopped or API.close() is called. Returns an object with a stop()
+     * method.
+     *
+     * Options:
+     *   interval - how often to report (milliseconds; defaults to 10000)
+     *   prefix - prefix for metric names (defaults to "process")
+     *   tags - tags to add to every metric
+     */
+    API.collectProcessMetrics = function(options) {
+        return stopOnClose(processCollector(API, options));
+    };
+
+    /**
+     * Periodically report host metrics (load averages, memory, per-CPU
+     * utilization and network interfaces) as gauges until stopped or
+     * API.close() is called. Returns an object with a stop() method.
+     *
+     * Options:
+     *   interval - how often to report (milliseconds; defaults to 10000)
+     *   prefix - prefix for metric names (defaults to "host")
+     *   tags - tags to add to every metric
+     */
+    API.collectHostMetrics = function(options) {
+        return stopOnClose(hostCollector(API, options));
+    };
+
+    /**
+     * Record request metrics for an http.Server (or https.Server) as
+     * middleware.Requests does, for services that don't use Express.
+     *
+     * @param {Object} server Server to instrument.
+     * @param {Object} options Options for middleware.Requests.
+     *
+     * @return {Function} stops instrumenting the server.
+     */
+    API.instrumentServer = function(server, options) {
+        var requests = API.middleware.Requests(options);
+
+        var listener = function(req, res) {
+            requests(req, res, function() {});
+        };
+
+        if (server.prependListener instanceof Function) {
+            // start timing before the server's own handler runs
+            server.prependListener("request", listener);
+        } else {
+            server.on("request", listener);
+        }
+
+        return function() {
+            server.removeListener("request", listener);
+        };
+    };
+
+    /**
+     * Record latency, status classes, errors and timeouts for outgoing HTTP(S)
+     * requests, by destination host. Returns a function that restores
+     * http.request() and https.request().
+     *
+     * Options:
+     *   prefix - prefix for metric names (defaults to "http_client")
+     *   nameFor - function called with each http.ClientRequest that returns a
+     *     metric name (defaults to the destination host)
+     *   agent - only instrument requests made using this agent
+     *   tags - tags to add to every metric
+     */
+    API.instrumentHttpClient = function(options) {
+        return httpClient(API, options);
+    };
+
+    /**
+     * Write the library's own health metrics: what has happened since they
+     * were last written and how many lines are waiting to be sent.
+     */
+    var reportClientMetrics = function() {
+        var current = API.stats();
+        var queued = (activeTransport && activeTransport.queued) || 0;
+
+        API.updateCounter("metricsd.client.sent", current.sentLines - lastStats.sentLines, 1);
+        API.updateCounter("metricsd.client.bytes", current.sentBytes - lastStats.sentBytes, 1);
+        API.updateCounter("metricsd.client.errors", current.sendErrors - lastStats.sendErrors, 1);
+        API.updateCounter("metricsd.client.dropped", current.droppedLines - lastStats.droppedLines, 1);
+        API.updateCounter("metricsd.client.socket_reopens", current.socketReopens - lastStats.socketReopens, 1);
+        API.updateGauge("metricsd.client.queue_depth", queued);
+
+        lastStats = current;
+    };
+
+    // scopes are covered by their parent's metrics
+    if (clientMetrics && !parent) {
+        lastStats = API.stats();
+
+        clientTimer = setInterval(reportClientMetrics, clientMetricsInterval);
+
+        // don't wait for the timer to exit
+        clientTimer.unref && clientTimer.unref();
+    }
+
     return API;
 };
+
+module.exports.transports = TRANSPORTS;
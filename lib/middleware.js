@@ -1,5 +1,106 @@
 "use strict";
 
+/**
+ * Path segments that look like identifiers (numbers, UUIDs and long hex
+ * strings), which would otherwise create a metric per resource.
+ */
+var ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+
+/**
+ * Convert a path into dot-separated metric name segments, replacing
+ * characters that aren't safe in names. Route parameters (":id") become their
+ * names; identifier-like segments become "id". The root path becomes "root".
+ *
+ * @param {String} path Path (or route pattern).
+ *
+ * @return {String} Metric name.
+ */
+var pathName = function(path) {
+    var segments = path.split("?")[0].split("/").filter(function(segment) {
+        return segment.length > 0;
+    }).map(function(segment) {
+        if (ID_SEGMENT.test(segment)) {
+            return "id";
+        }
+
+        return segment.replace(/^:/, "").replace(/[^\w-]/g, "_");
+    });
+
+    return segments.join(".") || "root";
+};
+
+/**
+ * Derive a metric name for a request from the matched (Express) route,
+ * falling back to the request path.
+ *
+ * @param {Object} req Request.
+ *
+ * @return {String} Metric name (the lowercased method followed by the route).
+ */
+var requestName = function(req) {
+    var path = req.url || "/";
+
+    if (req.route && typeof req.route.path === "string") {
+        path = (req.baseUrl || "") + req.route.path;
+    }
+
+    return (req.method || "unknown").toLowerCase() + "." + pathName(path);
+};
+
+/**
+ * Derive a metric name for a Koa context from the matched (koa-router) route,
+ * falling back to the request path.
+ *
+ * @param {Object} ctx Koa context.
+ *
+ * @return {String} Metric name (the lowercased method followed by the route).
+ */
+var contextName = function(ctx) {
+    var path = ctx.path || "/";
+
+    if (typeof ctx._matchedRoute === "string") {
+        path = ctx._matchedRoute;
+    }
+
+    return (ctx.method || "unknown").toLowerCase() + "." + pathName(path);
+};
+
+/**
+ * Resolve a metric name (or names), calling it with the provided arguments if
+ * it's a lookup function.
+ *
+ * @param {String|Array|Function} metricName Metric name(s) or lookup.
+ * @param {Array} args Arguments for the lookup.
+ *
+ * @return {Array} Metric names.
+ */
+var lookupNames = function(metricName, args) {
+    if (metricName instanceof Function) {
+        metricName = metricName.apply(null, args);
+    }
+
+    if (metricName instanceof Array) {
+        return metricName;
+    }
+
+    return metricName ? [metricName] : [];
+};
+
+/**
+ * Determine the size of a chunk passed to res.write() or res.end().
+ */
+var chunkSize = function(chunk, encoding) {
+    if (!chunk || chunk instanceof Function) {
+        return 0;
+    }
+
+    if (typeof chunk === "string") {
+        return Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : "utf8");
+    }
+
+    return chunk.length;
+};
+
 /**
  * Factory function intended to be called by the `middleware` getter in
  * metricsd.
@@ -9,6 +110,20 @@
 module.exports = function(metrics) {
     var middleware = {};
 
+    /**
+     * Record a completed request's response time, status class and
+     * occurrence.
+     */
+    var recordRequest = function(name, elapsedTime, statusCode, tags) {
+        metrics.updateHistogram(name, Math.round(elapsedTime), undefined, tags);
+
+        if (statusCode) {
+            metrics.updateCounter(name + "." + Math.floor(statusCode / 100) + "xx", 1, undefined, tags);
+        }
+
+        metrics.mark(name + ".requests", tags);
+    };
+
     /**
      * Measure the time until an event (on the response) fires. It will use the
      * request timer (added via middleware.Timer) if available, otherwise it
@@ -47,6 +162,263 @@ module.exports = function(metrics) {
         };
     };
 
+    /**
+     * Record request metrics when responses finish:
+     *
+     *   prefix.<name> - response time histogram (milliseconds)
+     *   prefix.<name>.<status class> - counter (e.g. prefix.<name>.2xx)
+     *   prefix.<name>.requests - meter
+     *
+     * The name is derived from the matched Express route (e.g. "get.users.id"
+     * for GET /users/:id), falling back to the method and request path (with
+     * identifier-like segments replaced by "id"). Like middleware.Measure, it
+     * uses the request timer (added via middleware.Timer) if available.
+     * Errors (e.g. names that fail validation) are emitted by metrics rather
+     * than thrown.
+     *
+     * @param {Object} options prefix (defaults to "requests"), name (a lookup
+     * function called with (req, res) that returns a name, overriding the
+     * derived one) and tags.
+     *
+     * @return {Function} An Express-compatible middleware function.
+     */
+    middleware.Requests = function(options) {
+        options = options || {};
+
+        var prefix = options.prefix || "requests";
+        var lookup = options.name || requestName;
+        var tags = options.tags;
+
+        return function(req, res, next) {
+            middleware.Timer(req, res, function() {
+                res.once("finish", function() {
+                    try {
+                        recordRequest(prefix + "." + lookup(req, res), req.timer.elapsedTime, res.statusCode, tags);
+                    } catch (err) {
+                        // e.g. a name derived from the request failed
+                        // validation; that mustn't crash the process
+                        metrics._emitError(err);
+                    }
+                });
+
+                next();
+            });
+        };
+    };
+
+    /**
+     * Koa equivalent of middleware.Requests: records the same metrics once
+     * downstream middleware have completed. Names are derived from the route
+     * matched by koa-router (if any), falling back to the method and path.
+     * Errors thrown downstream are recorded with their status (defaulting to
+     * 500) and rethrown. Errors recording metrics are emitted by metrics
+     * rather than thrown.
+     *
+     * @param {Object} options prefix (defaults to "requests"), name (a lookup
+     * function called with ctx that returns a name, overriding the derived
+     * one) and tags.
+     *
+     * @return {Function} Koa middleware (a function of (ctx, next) that
+     * returns a promise).
+     */
+    middleware.Koa = function(options) {
+        options = options || {};
+
+        var prefix = options.prefix || "requests";
+        var lookup = options.name || contextName;
+        var tags = options.tags;
+
+        return function(ctx, next) {
+            var timer = metrics.time();
+
+            var record = function(statusCode) {
+                try {
+                    recordRequest(prefix + "." + lookup(ctx), timer.elapsedTime, statusCode, tags);
+                } catch (err) {
+                    // e.g. a name derived from the request failed validation;
+                    // that mustn't change the response
+                    metrics._emitError(err);
+                }
+            };
+
+            return Promise.resolve(next()).then(function() {
+                record(ctx.status);
+            }, function(err) {
+                record((err && (err.status || err.statusCode)) || 500);
+
+                throw err;
+            });
+        };
+    };
+
+    /**
+     * Track the number of requests in progress, reporting it as the gauge
+     * prefix.in_flight and the highest number seen since the last report as
+     * prefix.in_flight.peak.
+     *
+     * Requests are counted until their responses finish or their connections
+     * close (whichever comes first).
+     *
+     * @param {Object} options prefix (defaults to "requests"), interval (how
+     * often to report; milliseconds, defaults to metrics.reportInterval),
+     * onChange (whether to report prefix.in_flight whenever it changes rather
+     * than with the peak; defaults to false) and tags.
+     *
+     * @return {Function} An Express-compatible middleware function with a
+     * stop() method that stops reporting (as does closing metrics). Errors
+     * (e.g. names that fail validation) are emitted by metrics rather than
+     * thrown.
+     */
+    middleware.InFlight = function(options) {
+        options = options || {};
+
+        var prefix = options.prefix || "requests";
+        var interval = options.interval || metrics.reportInterval;
+        var onChange = !!options.onChange;
+        var tags = options.tags;
+
+        var inFlight = 0;
+        var peak = 0;
+
+        var update = function(delta) {
+            inFlight += delta;
+            peak = Math.max(peak, inFlight);
+
+            if (onChange) {
+                try {
+                    metrics.updateGauge(prefix + ".in_flight", inFlight, tags);
+                } catch (err) {
+                    metrics._emitError(err);
+                }
+            }
+        };
+
+        var report = function() {
+            try {
+                if (!onChange) {
+                    metrics.updateGauge(prefix + ".in_flight", inFlight, tags);
+                }
+
+                metrics.updateGauge(prefix + ".in_flight.peak", peak, tags);
+            } catch (err) {
+                // don't crash the process from a timer
+                metrics._emitError(err);
+            }
+
+            peak = inFlight;
+        };
+
+        var timer = setInterval(report, interval);
+
+        // don't wait for the timer to exit
+        timer.unref && timer.unref();
+
+        var fn = function(req, res, next) {
+            var finished = false;
+
+            var finish = function() {
+                if (finished) {
+                    // e.g. an aborted connection that closes after finishing
+                    return;
+                }
+
+                finished = true;
+
+                res.removeListener("finish", finish);
+                res.removeListener("close", finish);
+
+                update(-1);
+            };
+
+            res.once("finish", finish);
+            res.once("close", finish);
+
+            update(1);
+
+            next();
+        };
+
+        /**
+         * Stop reporting.
+         */
+        fn.stop = function() {
+            clearInterval(timer);
+        };
+
+        // reporting also stops when metrics are closed
+        return metrics._stopOnClose(fn);
+    };
+
+    /**
+     * Record request body and response sizes (bytes) as histograms when
+     * responses finish.
+     *
+     * Request sizes come from the Content-Length header if present, otherwise
+     * bytes are counted as the request is read. Response sizes are counted by
+     * wrapping res.write() and res.end().
+     *
+     * @param {String|Array|Function} requestMetricName Metric(s) to write
+     * request sizes to; if a lookup function, it will be called with (req,
+     * res, size) and is expected to return a String or an Array. Request
+     * sizes won't be recorded if this is null.
+     * @param {String|Array|Function} responseMetricName Metric(s) to write
+     * response sizes to (as above).
+     *
+     * @return {Function} An Express-compatible middleware function.
+     */
+    middleware.Sizes = function(requestMetricName, responseMetricName) {
+        return function(req, res, next) {
+            var requestSize = 0;
+            var responseSize = 0;
+            var contentLength = parseInt(req.headers && req.headers["content-length"], 10);
+
+            if (contentLength >= 0) {
+                requestSize = contentLength;
+            } else if (requestMetricName && req.emit instanceof Function) {
+                // count bytes as they're emitted; listening for "data" would
+                // start the stream flowing before anything else can read it
+                var emit = req.emit;
+
+                req.emit = function(event, chunk) {
+                    if (event === "data") {
+                        requestSize += chunkSize(chunk);
+                    }
+
+                    return emit.apply(this, arguments);
+                };
+            }
+
+            if (responseMetricName) {
+                var write = res.write;
+                var end = res.end;
+
+                res.write = function(chunk, encoding) {
+                    responseSize += chunkSize(chunk, encoding);
+
+                    return write.apply(this, arguments);
+                };
+
+                res.end = function(chunk, encoding) {
+                    responseSize += chunkSize(chunk, encoding);
+
+                    return end.apply(this, arguments);
+                };
+            }
+
+            res.once("finish", function() {
+                lookupNames(requestMetricName, [req, res, requestSize]).forEach(function(name) {
+                    metrics.updateHistogram(name, requestSize);
+                });
+
+                lookupNames(responseMetricName, [req, res, responseSize]).forEach(function(name) {
+                    metrics.updateHistogram(name, responseSize);
+                });
+            });
+
+            next();
+        };
+    };
+
     /**
      * Measure the time the provided middleware function takes. For example:
      *
@@ -0,0 +1,162 @@
+"use strict";
+
+/**
+ * How often to rescale priorities to avoid overflowing (seconds).
+ */
+var RESCALE_THRESHOLD = 60 * 60;
+
+/**
+ * Current time in (fractional) seconds.
+ */
+var now = function() {
+    return Date.now() / 1000;
+};
+
+/**
+ * Create an exponentially decaying reservoir: a statistically representative
+ * sample of values that's biased towards the last ~5 minutes (with the
+ * default alpha). See "Forward Decay: A Practical Time Decay Model for
+ * Streaming Systems" (Cormode et al.).
+ *
+ * @param {Number} size Maximum number of values to keep.
+ * @param {Number} alpha Decay factor.
+ */
+var Reservoir = function(size, alpha) {
+    if (!(this instanceof Reservoir)) {
+        return new Reservoir(size, alpha);
+    }
+
+    this.size = size || 1028;
+    this.alpha = alpha || 0.015;
+
+    this.clear();
+};
+
+/**
+ * Discard all values.
+ */
+Reservoir.prototype.clear = function() {
+    // ordered by priority (ascending)
+    this.samples = [];
+    this.count = 0;
+    this.startTime = now();
+    this.nextRescale = this.startTime + RESCALE_THRESHOLD;
+};
+
+/**
+ * Add a value to the reservoir.
+ *
+ * @param {Number} value Value.
+ * @param {Number} timestamp Time of the update (seconds); defaults to now.
+ */
+Reservoir.prototype.update = function(value, timestamp) {
+    timestamp = timestamp || now();
+
+    if (timestamp >= this.nextRescale) {
+        this.rescale(timestamp);
+    }
+
+    var priority = Math.exp(this.alpha * (timestamp - this.startTime)) /
+        (Math.random() || Number.MIN_VALUE);
+
+    this.count++;
+
+    if (this.samples.length >= this.size) {
+        if (priority <= this.samples[0].priority) {
+            return;
+        }
+
+        // replace the lowest priority sample
+        this.samples.shift();
+    }
+
+    // binary search for the insertion point
+    var low = 0;
+    var high = this.samples.length;
+
+    while (low < high) {
+        var mid = (low + high) >>> 1;
+
+        if (this.samples[mid].priority < priority) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    this.samples.splice(low, 0, {
+        priority: priority,
+        value: value
+    });
+};
+
+/**
+ * Rescale priorities relative to a new start time so that they don't grow
+ * without bound.
+ */
+Reservoir.prototype.rescale = function(timestamp) {
+    var factor = Math.exp(-this.alpha * (timestamp - this.startTime));
+
+    this.samples.forEach(function(sample) {
+        sample.priority *= factor;
+    });
+
+    this.startTime = timestamp;
+    this.nextRescale = timestamp + RESCALE_THRESHOLD;
+};
+
+/**
+ * Summarize the values in the reservoir.
+ *
+ * @param {Array} percentiles Percentiles (0-1) to calculate.
+ *
+ * @return {Object} count, min, max, mean and percentiles (an Object keyed by
+ * percentile).
+ */
+Reservoir.prototype.snapshot = function(percentiles) {
+    var values = this.samples.map(function(sample) {
+        return sample.value;
+    }).sort(function(a, b) {
+        return a - b;
+    });
+
+    var n = values.length;
+    var sum = values.reduce(function(a, b) {
+        return a + b;
+    }, 0);
+
+    var quantile = function(q) {
+        if (n === 0) {
+            return 0;
+        }
+
+        var pos = q * (n + 1);
+        var idx = Math.floor(pos);
+
+        if (idx < 1) {
+            return values[0];
+        }
+
+        if (idx >= n) {
+            return values[n - 1];
+        }
+
+        return values[idx - 1] + (pos - idx) * (values[idx] - values[idx - 1]);
+    };
+
+    var snapshot = {
+        count: this.count,
+        min: n > 0 ? values[0] : 0,
+        max: n > 0 ? values[n - 1] : 0,
+        mean: n > 0 ? sum / n : 0,
+        percentiles: {}
+    };
+
+    (percentiles || []).forEach(function(q) {
+        snapshot.percentiles[q] = quantile(q);
+    });
+
+    return snapshot;
+};
+
+module.exports = Reservoir;
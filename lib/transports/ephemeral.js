@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ * Manage a socket that's opened when needed and closed to free up resources
+ * after it has been idle for at least `timeout` milliseconds. A delay of
+ * 10*timeout is also used to close the socket in order to clear Buffers it
+ * has been holding on to.
+ *
+ * @param {Function} open Creates a socket; sockets must implement
+ * close(callback). It's passed a function to call if the socket closes (or
+ * fails) on its own, so that another will be opened when needed.
+ * @param {Number} timeout Idle timeout (milliseconds).
+ * @param {Function} onReopen Called when a socket is opened to replace one
+ * that was closed to free up resources (optional).
+ */
+module.exports = function(open, timeout, onReopen) {
+    var ephemeralSocket = null;
+    var lastUse = null;
+    var gcTimer = null;
+    var closeTimeout = null;
+    var reclaimed = false;
+
+    /**
+     * Close the ephemeral socket.
+     */
+    var closeSocket = function(callback) {
+        if (ephemeralSocket) {
+            ephemeralSocket.close(callback);
+            ephemeralSocket = null;
+
+            // this was probably called due to closeTimeout, but clear it just
+            // in case
+            clearTimeout(closeTimeout);
+            closeTimeout = null;
+        } else if (callback) {
+            process.nextTick(callback);
+        }
+    };
+
+    /**
+     * Clear the socket cleanup timer.
+     */
+    var removeTimer = function() {
+        if (gcTimer) {
+            clearInterval(gcTimer);
+            gcTimer = null;
+        }
+    };
+
+    /**
+     * Close the socket to free up resources (it will be re-opened when
+     * needed).
+     */
+    var reclaimSocket = function() {
+        if (ephemeralSocket) {
+            reclaimed = true;
+        }
+
+        closeSocket();
+    };
+
+    /**
+     * Garbage collect the socket if possible.
+     */
+    var gcSocket = function() {
+        if (Date.now() - lastUse > timeout) {
+            reclaimSocket();
+            removeTimer();
+        }
+    };
+
+    return {
+        /**
+         * Get the socket, opening it if necessary.
+         */
+        get: function() {
+            if (!ephemeralSocket) {
+                var socket = ephemeralSocket = open(function() {
+                    if (ephemeralSocket === socket) {
+                        // don't keep writing to a dead socket
+                        ephemeralSocket = null;
+
+                        clearTimeout(closeTimeout);
+                        closeTimeout = null;
+                    }
+                });
+
+                if (reclaimed) {
+                    reclaimed = false;
+
+                    onReopen && onReopen();
+                }
+
+                // try to clean up the socket periodically to free up resources
+                // if this instance is idle
+                if (!gcTimer) {
+                    gcTimer = setInterval(gcSocket, 250);
+
+                    // don't wait for the timer to exit
+                    gcTimer.unref && gcTimer.unref();
+                }
+
+                // forcibly close the socket periodically (ignoring last use)
+                // to allow sent Buffers to be GC'd
+                closeTimeout = setTimeout(reclaimSocket, 10 * timeout);
+
+                // don't wait for the timer to exit
+                closeTimeout.unref && closeTimeout.unref();
+            }
+
+            // the ephemeral socket was last used NOW.
+            lastUse = Date.now();
+
+            return ephemeralSocket;
+        },
+
+        /**
+         * Get the socket if it's open (without opening it).
+         */
+        current: function() {
+            return ephemeralSocket;
+        },
+
+        /**
+         * Close the socket and stop trying to clean it up.
+         */
+        close: function(callback) {
+            reclaimed = false;
+
+            closeSocket(callback);
+            removeTimer();
+        }
+    };
+};
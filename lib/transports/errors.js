@@ -0,0 +1,15 @@
+"use strict";
+
+/**
+ * Create a function that emits errors from a transport if anything's
+ * listening (EventEmitters throw otherwise).
+ *
+ * @param {EventEmitter} transport The transport to emit errors from.
+ */
+module.exports = function(transport) {
+    return function(err) {
+        if (transport.listeners("error").length > 0) {
+            transport.emit("error", err);
+        }
+    };
+};
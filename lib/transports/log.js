@@ -0,0 +1,36 @@
+"use strict";
+
+var EventEmitter = require("events").EventEmitter;
+
+/**
+ * Factory function that creates a transport that writes lines using
+ * a console.log-compatible logger (as "metric=<line>"). "send" (lines, bytes)
+ * events are emitted when lines have been logged.
+ *
+ * @param {Object} options logger.
+ */
+module.exports = function(options) {
+    var transport = new EventEmitter();
+
+    transport.write = function(lines) {
+        lines.forEach(function(line) {
+            options.logger("metric=%s", line);
+        });
+
+        transport.emit("send", lines.length, Buffer.byteLength(lines.join("\n") + "\n"));
+    };
+
+    transport.flush = function(callback) {
+        if (callback) {
+            process.nextTick(callback);
+        }
+    };
+
+    transport.close = function(callback) {
+        if (callback) {
+            process.nextTick(callback);
+        }
+    };
+
+    return transport;
+};
@@ -0,0 +1,221 @@
+"use strict";
+
+var net = require("net"),
+    EventEmitter = require("events").EventEmitter;
+
+/**
+ * Factory function that creates a TCP transport using a persistent
+ * connection. The connection is opened when the first line is written and is
+ * re-opened (with exponential backoff) if it closes.
+ *
+ * While disconnected (or while the connection isn't accepting writes), up to
+ * options.queueSize lines are queued; lines that don't fit are dropped and
+ * reported (via options.logger) once the connection has been re-established.
+ *
+ * "send" (lines, bytes) events are emitted when lines have been written to the
+ * connection and "drop" (count) events when lines are dropped. Connection
+ * errors are emitted as "error" events (if anything's listening).
+ *
+ * @param {Object} options host, port, queueSize, reconnectDelay,
+ * maxReconnectDelay and logger.
+ */
+module.exports = function(options) {
+    var socket = null;
+    var connected = false;
+    var draining = false;
+    var closed = false;
+    var queue = [];
+    var dropped = 0;
+    var droppedWhileDisconnected = 0;
+    var delay = options.reconnectDelay;
+    var reconnectTimer = null;
+
+    var transport = new EventEmitter();
+
+    var emitError = require("./errors")(transport);
+
+    /**
+     * Write newline-terminated lines to the connection.
+     */
+    var send = function(strs) {
+        var str = strs.join("");
+
+        if (!socket.write(str)) {
+            // queue subsequent lines until the connection catches up
+            draining = true;
+        }
+
+        transport.emit("send", strs.length, Buffer.byteLength(str));
+    };
+
+    /**
+     * Write queued lines to the connection.
+     */
+    var sendQueue = function() {
+        var lines = queue;
+
+        queue = [];
+
+        if (lines.length > 0) {
+            send(lines);
+        }
+    };
+
+    var scheduleReconnect = function() {
+        reconnectTimer = setTimeout(function() {
+            reconnectTimer = null;
+
+            connect();
+        }, delay);
+
+        // don't wait for the timer to exit
+        reconnectTimer.unref && reconnectTimer.unref();
+
+        delay = Math.min(delay * 2, options.maxReconnectDelay);
+    };
+
+    var connect = function() {
+        socket = net.connect(options.port, options.host);
+
+        // don't wait for this to be closed
+        socket.unref && socket.unref();
+
+        socket.on("connect", function() {
+            connected = true;
+            delay = options.reconnectDelay;
+
+            if (droppedWhileDisconnected > 0) {
+                options.logger("metricsd: dropped %d metrics while disconnected", droppedWhileDisconnected);
+                droppedWhileDisconnected = 0;
+            }
+
+            sendQueue();
+
+            if (closed) {
+                // connected in order to write queued lines
+                socket.end();
+            }
+        });
+
+        socket.on("drain", function() {
+            draining = false;
+
+            sendQueue();
+        });
+
+        // "close" will follow, which is where reconnection is handled
+        socket.on("error", emitError);
+
+        socket.on("close", function() {
+            connected = false;
+            draining = false;
+            socket = null;
+
+            if (!closed) {
+                scheduleReconnect();
+            }
+        });
+    };
+
+    /**
+     * Write lines (newline-terminated), queueing them if not connected.
+     */
+    transport.write = function(lines) {
+        if (closed) {
+            return;
+        }
+
+        lines.forEach(function(line) {
+            var str = line + "\n";
+
+            if (connected && !draining) {
+                send([str]);
+            } else if (queue.length < options.queueSize) {
+                queue.push(str);
+            } else {
+                dropped++;
+
+                if (!connected) {
+                    droppedWhileDisconnected++;
+                }
+
+                transport.emit("drop", 1);
+            }
+        });
+
+        if (!socket && !reconnectTimer) {
+            connect();
+        }
+    };
+
+    /**
+     * Call back once written lines have been handed off to the OS. Queued
+     * lines will remain queued until a connection is available.
+     */
+    transport.flush = function(callback) {
+        if (connected) {
+            socket.write("", callback);
+        } else if (callback) {
+            process.nextTick(callback);
+        }
+    };
+
+    /**
+     * Close the connection after writing anything that's outstanding,
+     * including queued lines (connecting to write them if necessary). Queued
+     * lines that can't be written will be discarded.
+     */
+    transport.close = function(callback) {
+        closed = true;
+
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+
+        var finish = function() {
+            if (queue.length > 0) {
+                transport.emit("drop", queue.length);
+                queue = [];
+            }
+
+            if (callback) {
+                callback();
+            }
+        };
+
+        if (!socket && queue.length > 0) {
+            // make one last attempt to write queued lines
+            connect();
+        }
+
+        if (!socket) {
+            return process.nextTick(finish);
+        }
+
+        socket.once("close", finish);
+
+        if (connected) {
+            sendQueue();
+
+            socket.end();
+        }
+
+        // otherwise the socket will end once it has connected (and written
+        // queued lines) or close if it fails to
+    };
+
+    Object.defineProperty(transport, "dropped", {
+        get: function() {
+            return dropped;
+        },
+        enumerable: true
+    });
+
+    Object.defineProperty(transport, "queued", {
+        get: function() {
+            return queue.length;
+        },
+        enumerable: true
+    });
+
+    return transport;
+};
@@ -0,0 +1,343 @@
+"use strict";
+
+var dns = require("dns"),
+    net = require("net"),
+    EventEmitter = require("events").EventEmitter;
+
+/**
+ * How long to wait before retrying a failed DNS lookup (milliseconds).
+ */
+var DNS_RETRY_DELAY = 1000;
+
+/**
+ * Look up all addresses for a host, as an array of { address, family }
+ * objects.
+ */
+var lookupAll = function(host, callback) {
+    var done = function(err, addresses, family) {
+        if (!err && !Array.isArray(addresses)) {
+            // Node < 4 ignores options.all
+            addresses = [{ address: addresses, family: family }];
+        }
+
+        callback(err, addresses);
+    };
+
+    try {
+        dns.lookup(host, { all: true }, done);
+    } catch (e) {
+        // Node < 0.12 doesn't accept options
+        dns.lookup(host, done);
+    }
+};
+
+/**
+ * Factory function that creates a UDP transport.
+ *
+ * options.host is resolved when needed and the address is cached for
+ * options.dnsTtl milliseconds, after which it's re-resolved in the background
+ * (the cached address will continue to be used in the meantime). IPv4
+ * addresses are preferred; IPv6 will be used if that's all that's available.
+ * An "error" event is emitted (if anything's listening) if resolution fails.
+ *
+ * A "reopen" event is emitted when the ephemeral socket is re-opened after
+ * having been closed to free up resources.
+ *
+ * "send" (lines, bytes) events are emitted when packets have been sent. Lines
+ * that couldn't be sent (because the host couldn't be resolved or sending
+ * failed) are reported with "drop" (count, err) events; send errors are also
+ * emitted as "error" events (if anything's listening).
+ *
+ * If options.socket (a dgram-ish socket) isn't provided, an ephemeral socket
+ * will be created when needed and closed to free up resources after it has
+ * been idle for at least options.timeout milliseconds. A delay of 10*timeout
+ * is also used to close the socket in order to clear Buffers it has been
+ * holding on to.
+ *
+ * If options.batch is true, lines will be buffered and sent newline-separated
+ * in packets of up to options.maxPacketSize bytes. Buffered lines are flushed
+ * when the next line wouldn't fit, after options.flushInterval milliseconds,
+ * or when the transport is flushed or closed.
+ *
+ * Closing waits for outstanding sends (including those waiting for the host
+ * to be resolved); lines written once the transport is closing are dropped.
+ *
+ * @param {Object} options host, port, socket, timeout, batch, maxPacketSize,
+ * flushInterval and dnsTtl.
+ */
+module.exports = function(options) {
+    var providedSocket = options.socket || null;
+
+    var pendingLines = [];
+    var pendingBytes = 0;
+    var flushTimer = null;
+    var address = null;
+    var family = net.isIP(options.host) || null;
+    var expires = 0;
+    var resolving = false;
+    var waiting = [];
+    var outstanding = 0;
+    var idleCallbacks = [];
+    var closing = false;
+
+    var transport = new EventEmitter();
+
+    var emitError = require("./errors")(transport);
+
+    /**
+     * Create a dgram-ish socket that defers closing until in-flight sends have
+     * completed (otherwise they'd be discarded, e.g. when flushing on close).
+     */
+    var createSocket = function() {
+        var socket = require("dgram").createSocket(family === 6 ? "udp6" : "udp4");
+        var pending = 0;
+        var closing = false;
+
+        // don't wait for this to be closed
+        socket.unref && socket.unref();
+
+        socket.on("error", emitError);
+
+        return {
+            send: function(buf, offset, length, port, host, callback) {
+                pending++;
+
+                socket.send(buf, offset, length, port, host, function() {
+                    pending--;
+
+                    if (closing && pending === 0) {
+                        socket.close();
+                    }
+
+                    callback.apply(this, arguments);
+                });
+            },
+            close: function(callback) {
+                closing = true;
+
+                if (callback) {
+                    socket.once("close", callback);
+                }
+
+                if (pending === 0) {
+                    socket.close();
+                }
+            }
+        };
+    };
+
+    var ephemeralSocket = require("./ephemeral")(createSocket, options.timeout, function() {
+        transport.emit("reopen");
+    });
+
+    var getSocket = function() {
+        return providedSocket || ephemeralSocket.get();
+    };
+
+    /**
+     * Resolve the host, preferring IPv4 addresses.
+     */
+    var resolve = function() {
+        resolving = true;
+
+        lookupAll(options.host, function(err, addresses) {
+            resolving = false;
+
+            var callbacks = waiting;
+            waiting = [];
+
+            if (err) {
+                // don't retry immediately (otherwise every write would trigger
+                // a lookup)
+                expires = Date.now() + DNS_RETRY_DELAY;
+
+                emitError(err);
+            } else {
+                var preferred = addresses.filter(function(a) {
+                    return a.family === 4;
+                })[0] || addresses[0];
+
+                if (family && preferred.family !== family) {
+                    // the ephemeral socket is for the wrong family
+                    ephemeralSocket.close();
+                }
+
+                address = preferred.address;
+                family = preferred.family;
+                expires = Date.now() + options.dnsTtl;
+            }
+
+            callbacks.forEach(function(callback) {
+                callback(address ? null : err);
+            });
+        });
+    };
+
+    /**
+     * Get the address of the host, using the cached address if available.
+     */
+    var lookup = function(callback) {
+        if (net.isIP(options.host)) {
+            return callback(null, options.host);
+        }
+
+        if (address) {
+            if (Date.now() > expires && !resolving) {
+                // re-resolve in the background
+                resolve();
+            }
+
+            return callback(null, address);
+        }
+
+        if (Date.now() < expires) {
+            // the last lookup failed recently
+            return callback(new Error("unable to resolve " + options.host));
+        }
+
+        waiting.push(function(err) {
+            callback(err, address);
+        });
+
+        if (!resolving) {
+            resolve();
+        }
+    };
+
+    /**
+     * Send a buffer containing one or more newline-terminated lines.
+     */
+    var sendBuffer = function(buf, lines, callback) {
+        outstanding++;
+
+        var done = function(err) {
+            outstanding--;
+
+            callback && callback(err);
+
+            if (outstanding === 0) {
+                var callbacks = idleCallbacks;
+                idleCallbacks = [];
+
+                callbacks.forEach(function(cb) {
+                    cb();
+                });
+            }
+        };
+
+        lookup(function(err, address) {
+            if (err) {
+                // the buffer can't be sent
+                transport.emit("drop", lines, err);
+
+                return done(err);
+            }
+
+            getSocket().send(buf, 0, buf.length, options.port, address, function(err, bytes) {
+                if (err) {
+                    emitError(err);
+                    transport.emit("drop", lines, err);
+                } else {
+                    transport.emit("send", lines, buf.length);
+                }
+
+                done();
+            });
+        });
+    };
+
+    /**
+     * Add a newline-terminated line to the current batch, flushing first if
+     * it wouldn't fit.
+     */
+    var enqueue = function(str) {
+        var length = Buffer.byteLength(str);
+
+        if (pendingBytes + length > options.maxPacketSize) {
+            transport.flush();
+        }
+
+        pendingLines.push(str);
+        pendingBytes += length;
+
+        if (pendingBytes >= options.maxPacketSize) {
+            // oversized lines are sent on their own
+            transport.flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(transport.flush, options.flushInterval);
+
+            // don't wait for the timer to exit
+            flushTimer.unref && flushTimer.unref();
+        }
+    };
+
+    /**
+     * Write lines, sending each as a separate packet unless batching.
+     */
+    transport.write = function(lines) {
+        if (closing) {
+            // sending would re-open the socket
+            transport.emit("drop", lines.length);
+            return;
+        }
+
+        lines.forEach(function(line) {
+            var str = line + "\n";
+
+            if (options.batch) {
+                enqueue(str);
+            } else {
+                sendBuffer(new Buffer(str), 1);
+            }
+        });
+    };
+
+    /**
+     * Send any batched lines as a single packet.
+     */
+    transport.flush = function(callback) {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        if (pendingLines.length > 0) {
+            var buf = new Buffer(pendingLines.join(""));
+            var lines = pendingLines.length;
+
+            pendingLines = [];
+            pendingBytes = 0;
+
+            sendBuffer(buf, lines, callback);
+        } else if (callback) {
+            process.nextTick(callback);
+        }
+    };
+
+    /**
+     * Release resources created by the transport once batched lines have been
+     * flushed and outstanding sends have completed.
+     */
+    transport.close = function(callback) {
+        closing = true;
+
+        transport.flush(function() {
+            if (outstanding > 0) {
+                return idleCallbacks.push(function() {
+                    ephemeralSocket.close(callback);
+                });
+            }
+
+            ephemeralSocket.close(callback);
+        });
+    };
+
+    Object.defineProperty(transport, "queued", {
+        get: function() {
+            return pendingLines.length;
+        },
+        enumerable: true
+    });
+
+    return transport;
+};
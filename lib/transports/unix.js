@@ -0,0 +1,151 @@
+"use strict";
+
+var net = require("net"),
+    EventEmitter = require("events").EventEmitter;
+
+/**
+ * Factory function that creates a transport that writes to a Unix domain
+ * (stream) socket at options.path. (Node doesn't support Unix datagram
+ * sockets.)
+ *
+ * Like the UDP transport, the connection will be opened when needed and
+ * closed to free up resources after it has been idle for at least
+ * options.timeout milliseconds (and periodically after 10*timeout).
+ *
+ * "send" (lines, bytes) events are emitted when lines have been written and
+ * "drop" (count, err) events when writing them failed. Connection errors are
+ * emitted as "error" events (if anything's listening).
+ * A "reopen" event is emitted when the connection is re-opened after having
+ * been closed to free up resources.
+ *
+ * @param {Object} options path and timeout.
+ */
+module.exports = function(options) {
+    var transport = new EventEmitter();
+
+    var emitError = require("./errors")(transport);
+
+    /**
+     * Open a connection to the socket. Writes will be buffered until it's
+     * connected.
+     */
+    var createSocket = function(forget) {
+        var socket = net.connect(options.path);
+        var pending = [];
+        var lastError = null;
+
+        // don't wait for this to be closed
+        socket.unref && socket.unref();
+
+        socket.on("error", emitError);
+
+        socket.on("error", function(err) {
+            lastError = err;
+        });
+
+        socket.on("close", function() {
+            // older versions of Node don't call back when writes fail
+            pending.slice().forEach(function(callback) {
+                callback(lastError || new Error("the connection was closed"));
+            });
+        });
+
+        // reconnect when next written to if the other end went away (e.g.
+        // when restarting) or the connection failed
+        socket.on("error", forget);
+        socket.on("close", forget);
+
+        return {
+            write: function(str, callback) {
+                var done = function(err) {
+                    var i = pending.indexOf(done);
+
+                    if (i < 0) {
+                        // already called back
+                        return;
+                    }
+
+                    pending.splice(i, 1);
+
+                    callback(err);
+                };
+
+                pending.push(done);
+
+                socket.write(str, done);
+            },
+            flush: function(callback) {
+                if (socket.destroyed) {
+                    // older versions of Node don't call back when writing to
+                    // destroyed sockets
+                    return process.nextTick(callback);
+                }
+
+                socket.write("", function() {
+                    callback();
+                });
+            },
+            close: function(callback) {
+                if (socket.destroyed) {
+                    // the connection failed or was closed by the other end
+                    callback && process.nextTick(callback);
+                    return;
+                }
+
+                if (callback) {
+                    socket.once("close", function() {
+                        callback();
+                    });
+                }
+
+                socket.end();
+            }
+        };
+    };
+
+    var ephemeralSocket = require("./ephemeral")(createSocket, options.timeout, function() {
+        transport.emit("reopen");
+    });
+
+    /**
+     * Write newline-terminated lines.
+     */
+    transport.write = function(lines) {
+        var str = lines.join("\n") + "\n";
+
+        ephemeralSocket.get().write(str, function(err) {
+            if (err) {
+                transport.emit("drop", lines.length, err);
+            } else {
+                transport.emit("send", lines.length, Buffer.byteLength(str));
+            }
+        });
+    };
+
+    /**
+     * Call back once written lines have been handed off to the OS.
+     */
+    transport.flush = function(callback) {
+        if (!callback) {
+            return;
+        }
+
+        var socket = ephemeralSocket.current();
+
+        if (!socket) {
+            // nothing has been written since the connection was last closed
+            return process.nextTick(callback);
+        }
+
+        socket.flush(callback);
+    };
+
+    /**
+     * Release resources created by the transport.
+     */
+    transport.close = function(callback) {
+        ephemeralSocket.close(callback);
+    };
+
+    return transport;
+};
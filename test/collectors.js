@@ -0,0 +1,249 @@
+"use strict";
+
+var metricsd = require("../lib/metricsd"),
+    expect = require("chai").expect;
+
+describe("collectors", function() {
+    var metrics;
+    var sent;
+    var collector;
+
+    beforeEach(function() {
+        sent = [];
+
+        metrics = metricsd();
+
+        metrics._send = function(str) {
+            sent.push(str);
+        };
+    });
+
+    afterEach(function() {
+        collector && collector.stop();
+
+        collector = undefined;
+        metrics = undefined;
+        sent = undefined;
+    });
+
+    var names = function() {
+        return sent.map(function(str) {
+            return str.split(":")[0];
+        });
+    };
+
+    describe("metrics.collectProcessMetrics", function() {
+        it("should report process metrics as gauges periodically", function(done) {
+            collector = metrics.collectProcessMetrics({ interval: 10 });
+
+            setTimeout(function() {
+                expect(names()).to.include.members([
+                    "process.memory.rss",
+                    "process.memory.heap_total",
+                    "process.memory.heap_used",
+                    "process.memory.external",
+                    "process.event_loop_lag",
+                    "process.active_handles",
+                    "process.active_requests",
+                    "process.cpu.user",
+                    "process.cpu.system",
+                    "process.uptime"
+                ]);
+
+                sent.forEach(function(str) {
+                    expect(str).to.match(/^process\.[\w.]+:\d+\|g$/);
+                });
+
+                done();
+            }, 25);
+        });
+
+        it("should use the provided prefix", function(done) {
+            collector = metrics.collectProcessMetrics({ interval: 10, prefix: "node" });
+
+            setTimeout(function() {
+                expect(names()).to.include("node.uptime");
+
+                done();
+            }, 25);
+        });
+
+        it("should measure event loop lag", function(done) {
+            var sleep = function(duration) {
+                var start = Date.now();
+                while (Date.now() - start < duration) {}
+            };
+
+            collector = metrics.collectProcessMetrics({ interval: 10 });
+
+            sleep(50);
+
+            setTimeout(function() {
+                var lag = sent.filter(function(str) {
+                    return str.indexOf("process.event_loop_lag:") === 0;
+                })[0];
+
+                expect(Number(lag.split(":")[1].split("|")[0])).to.be.at.least(30);
+
+                done();
+            }, 5);
+        });
+
+        it("should stop reporting when stopped", function(done) {
+            collector = metrics.collectProcessMetrics({ interval: 10 });
+            collector.stop();
+
+            setTimeout(function() {
+                expect(sent).to.be.empty;
+
+                done();
+            }, 25);
+        });
+
+        it("should stop reporting when metrics are closed", function(done) {
+            collector = metrics.collectProcessMetrics({ interval: 10 });
+
+            metrics.close(function() {
+                setTimeout(function() {
+                    expect(sent).to.be.empty;
+
+                    done();
+                }, 25);
+            });
+        });
+
+        it("should emit errors rather than throwing them", function(done) {
+            metrics = metricsd({
+                sanitize: "throw",
+                maxNameLength: 20,
+                logger: function() {}
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            metrics.once("error", function(err) {
+                expect(err.message).to.match(/invalid metric name/);
+
+                done();
+            });
+
+            collector = metrics.collectProcessMetrics({ interval: 10 });
+        });
+    });
+
+    describe("metrics.collectHostMetrics", function() {
+        var os = require("os");
+
+        it("should report host metrics as gauges periodically", function(done) {
+            collector = metrics.collectHostMetrics({ interval: 10 });
+
+            setTimeout(function() {
+                expect(names()).to.include.members([
+                    "host.load.1m",
+                    "host.load.5m",
+                    "host.load.15m",
+                    "host.memory.free",
+                    "host.memory.total",
+                    "host.memory.used",
+                    "host.cpu.count",
+                    "host.network.interfaces",
+                    "host.network.addresses"
+                ]);
+
+                sent.forEach(function(str) {
+                    expect(str).to.match(/^host\.[\w.]+:[\d.]+\|g$/);
+                });
+
+                done();
+            }, 25);
+        });
+
+        it("should report per-CPU utilization", function(done) {
+            var cpus = os.cpus;
+            var times = { user: 0, nice: 0, sys: 0, idle: 0, irq: 0 };
+
+            os.cpus = function() {
+                return [{ times: times }];
+            };
+
+            collector = metrics.collectHostMetrics({ interval: 10 });
+
+            times = { user: 30, nice: 0, sys: 10, idle: 60, irq: 0 };
+
+            setTimeout(function() {
+                os.cpus = cpus;
+
+                expect(sent).to.include.members([
+                    "host.cpu.0.user:30|g",
+                    "host.cpu.0.nice:0|g",
+                    "host.cpu.0.sys:10|g",
+                    "host.cpu.0.idle:60|g",
+                    "host.cpu.0.irq:0|g"
+                ]);
+
+                done();
+            }, 15);
+        });
+
+        it("should use the instance's prefix", function(done) {
+            metrics = metricsd({ prefix: "web1" });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            collector = metrics.collectHostMetrics({ interval: 10 });
+
+            setTimeout(function() {
+                expect(names()).to.include("web1.host.cpu.count");
+
+                done();
+            }, 25);
+        });
+
+        it("should stop reporting when stopped", function(done) {
+            collector = metrics.collectHostMetrics({ interval: 10 });
+            collector.stop();
+
+            setTimeout(function() {
+                expect(sent).to.be.empty;
+
+                done();
+            }, 25);
+        });
+
+        it("should stop reporting when metrics are closed", function(done) {
+            collector = metrics.collectHostMetrics({ interval: 10 });
+
+            metrics.close(function() {
+                setTimeout(function() {
+                    expect(sent).to.be.empty;
+
+                    done();
+                }, 25);
+            });
+        });
+
+        it("should emit errors rather than throwing them", function(done) {
+            metrics = metricsd({
+                sanitize: "throw",
+                maxNameLength: 20,
+                logger: function() {}
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            metrics.once("error", function(err) {
+                expect(err.message).to.match(/invalid metric name/);
+
+                done();
+            });
+
+            collector = metrics.collectHostMetrics({ interval: 10 });
+        });
+    });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+var EWMA = require("../lib/ewma"),
+    expect = require("chai").expect;
+
+describe("EWMA", function() {
+    var ewma;
+
+    beforeEach(function() {
+        ewma = new EWMA(1, 5);
+    });
+
+    afterEach(function() {
+        ewma = undefined;
+    });
+
+    it("may be created without new", function() {
+        expect(EWMA(1)).to.be.an.instanceof(EWMA);
+    });
+
+    it("should default to 5s ticks", function() {
+        expect(EWMA(1).interval).to.equal(5);
+    });
+
+    it("should start at 0", function() {
+        expect(ewma.rate).to.equal(0);
+    });
+
+    describe("#tick", function() {
+        it("should use the first rate as-is", function() {
+            ewma.update(10);
+            ewma.tick();
+
+            expect(ewma.rate).to.equal(2);
+        });
+
+        it("should decay towards the current rate", function() {
+            ewma.update(10);
+            ewma.tick();
+
+            // 1 minute of ticks with no events
+            for (var i = 0; i < 12; i++) {
+                ewma.tick();
+            }
+
+            expect(ewma.rate).to.be.closeTo(2 * Math.exp(-1), 1e-9);
+        });
+
+        it("should discard counted events", function() {
+            ewma.update(10);
+            ewma.tick();
+
+            expect(ewma.uncounted).to.equal(0);
+        });
+    });
+});
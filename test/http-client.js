@@ -0,0 +1,222 @@
+"use strict";
+
+var http = require("http"),
+    metricsd = require("../lib/metricsd"),
+    expect = require("chai").expect;
+
+describe("metrics.instrumentHttpClient", function() {
+    var metrics;
+    var sent;
+    var server;
+    var port;
+    var restore;
+
+    beforeEach(function(done) {
+        sent = [];
+
+        metrics = metricsd();
+
+        metrics._send = function(str) {
+            sent.push(str);
+        };
+
+        server = http.createServer(function(req, res) {
+            if (req.url === "/slow") {
+                // never respond
+                return;
+            }
+
+            res.statusCode = req.url === "/missing" ? 404 : 200;
+            res.end("ok");
+        });
+
+        server.listen(0, "127.0.0.1", function() {
+            port = server.address().port;
+
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        if (restore) {
+            restore();
+        }
+
+        restore = undefined;
+        sent = undefined;
+
+        if (server.closeAllConnections instanceof Function) {
+            server.closeAllConnections();
+        }
+
+        server.close(function() {
+            done();
+        });
+    });
+
+    var get = function(path, callback) {
+        return http.get({
+            host: "127.0.0.1",
+            port: port,
+            path: path,
+            agent: false
+        }, function(res) {
+            res.resume();
+            res.on("end", callback);
+        });
+    };
+
+    it("should record latency and status classes by destination host", function(done) {
+        restore = metrics.instrumentHttpClient();
+
+        get("/", function() {
+            expect(sent).to.have.length(2);
+            expect(sent[0]).to.match(/^http_client\.127_0_0_1:\d+\|h$/);
+            expect(sent[1]).to.equal("http_client.127_0_0_1.2xx:1|c");
+
+            done();
+        });
+    });
+
+    it("should instrument http.request", function(done) {
+        restore = metrics.instrumentHttpClient();
+
+        var req = http.request({
+            host: "127.0.0.1",
+            port: port,
+            path: "/missing",
+            method: "POST"
+        }, function(res) {
+            res.resume();
+            res.on("end", function() {
+                expect(sent[1]).to.equal("http_client.127_0_0_1.4xx:1|c");
+
+                done();
+            });
+        });
+
+        req.end();
+    });
+
+    it("should count connection errors", function(done) {
+        restore = metrics.instrumentHttpClient();
+
+        server.close(function() {
+            var req = http.get({
+                host: "127.0.0.1",
+                port: port,
+                agent: false
+            });
+
+            req.on("error", function() {
+                expect(sent).to.deep.equal([
+                    "http_client.127_0_0_1.errors:1|c"
+                ]);
+
+                done();
+            });
+        });
+    });
+
+    it("should count timeouts (but not as errors)", function(done) {
+        restore = metrics.instrumentHttpClient();
+
+        var req = get("/slow", function() {});
+
+        req.setTimeout(10, function() {
+            req.destroy(new Error("timed out"));
+        });
+
+        req.on("error", function() {
+            expect(sent).to.deep.equal([
+                "http_client.127_0_0_1.timeouts:1|c"
+            ]);
+
+            done();
+        });
+    });
+
+    it("should emit errors rather than throwing them", function(done) {
+        var errors = [];
+
+        metrics = metricsd({
+            sanitize: "throw",
+            maxNameLength: 16
+        });
+
+        metrics.on("error", function(err) {
+            errors.push(err);
+        });
+
+        restore = metrics.instrumentHttpClient();
+
+        get("/", function() {
+            expect(errors).to.have.length(1);
+            expect(errors[0].message).to.match(/invalid metric name/);
+
+            done();
+        });
+    });
+
+    it("should use the provided prefix and name lookup", function(done) {
+        restore = metrics.instrumentHttpClient({
+            prefix: "deps",
+            nameFor: function(req) {
+                expect(req).to.be.an.instanceof(http.ClientRequest);
+
+                return "local";
+            }
+        });
+
+        get("/", function() {
+            expect(sent[1]).to.equal("deps.local.2xx:1|c");
+
+            done();
+        });
+    });
+
+    it("should only instrument requests using the provided agent", function(done) {
+        var agent = new http.Agent();
+
+        restore = metrics.instrumentHttpClient({
+            agent: agent
+        });
+
+        get("/", function() {
+            expect(sent).to.be.empty;
+
+            http.get({
+                host: "127.0.0.1",
+                port: port,
+                agent: agent
+            }, function(res) {
+                res.resume();
+                res.on("end", function() {
+                    agent.destroy();
+
+                    expect(sent[1]).to.equal("http_client.127_0_0_1.2xx:1|c");
+
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should stop instrumenting when restored", function(done) {
+        var request = http.request;
+
+        restore = metrics.instrumentHttpClient();
+
+        expect(http.request).not.to.equal(request);
+
+        restore();
+
+        expect(http.request).to.equal(request);
+
+        get("/", function() {
+            expect(sent).to.be.empty;
+
+            done();
+        });
+    });
+});
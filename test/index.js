@@ -20,6 +20,7 @@ describe("metrics", function() {
     var prefix;
     var prefixed;
     var _send;
+    var random = Math.random;
 
     beforeEach(function() {
         metrics = metricsd();
@@ -37,6 +38,7 @@ describe("metrics", function() {
     afterEach(function() {
         metrics._send = _send;
         prefixed._send = _send;
+        Math.random = random;
 
         _send = undefined;
         prefix = undefined;
@@ -103,281 +105,2504 @@ describe("metrics", function() {
         });
     });
 
-    it("should close idle sockets");
-    it("should periodically close active sockets to avoid leaking memory");
-
-    describe("#count", function() {
-        it("should return a named counter", function() {
-            var name = "Jackie";
+    describe(".batch", function() {
+        it("should default to false", function() {
+            expect(metrics.batch).to.be.false;
+        });
 
-            var counter = metrics.count(name);
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ batch: true }).batch).to.be.true;
+        });
+    });
 
-            expect(counter).to.be.an.instanceof(metrics.Counter);
-            expect(counter.name).to.equal(name);
+    describe(".maxPacketSize", function() {
+        it("should default to 512 bytes", function() {
+            expect(metrics.maxPacketSize).to.equal(512);
         });
 
-        it("should return undefined if no name was provided", function() {
-            expect(metrics.count()).to.equal(undefined);
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ maxPacketSize: 1432 }).maxPacketSize).to.equal(1432);
         });
     });
 
-    describe("#gauge", function() {
-        it("should return a named gauge", function() {
-            var name = "Brian";
+    describe(".flushInterval", function() {
+        it("should default to 100ms", function() {
+            expect(metrics.flushInterval).to.equal(100);
+        });
 
-            var gauge = metrics.gauge("%s", name);
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ flushInterval: 10 }).flushInterval).to.equal(10);
+        });
+    });
 
-            expect(gauge).to.be.an.instanceof(metrics.Gauge);
-            expect(gauge.name).to.equal(name);
+    describe(".sampleRate", function() {
+        it("should default to 1", function() {
+            expect(metrics.sampleRate).to.equal(1);
         });
 
-        it("should return undefined if no name was provided", function() {
-            expect(metrics.gauge()).to.equal(undefined);
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ sampleRate: 0.1 }).sampleRate).to.equal(0.1);
         });
     });
 
-    describe("#histogram", function() {
-        it("should return a named histogram", function() {
-            var name = "Paul";
-
-            var histogram = metrics.histogram(name);
+    describe(".protocol", function() {
+        it("should default to 'metricsd'", function() {
+            expect(metrics.protocol).to.equal("metricsd");
+        });
 
-            expect(histogram).to.be.an.instanceof(metrics.Histogram);
-            expect(histogram.name).to.equal(name);
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ protocol: "statsd" }).protocol).to.equal("statsd");
         });
 
-        it("should return undefined if no name was provided", function() {
-            expect(metrics.gauge()).to.equal(undefined);
+        it("should throw if the protocol is unsupported", function() {
+            var factory = function() {
+                return metricsd({ protocol: "carbon" });
+            };
+
+            expect(factory).to.throw(Error);
         });
     });
 
-    describe("#inc", function() {
-        it("should increment the named counter", function(done) {
-            var name = "Whately";
+    describe("in statsd mode", function() {
+        beforeEach(function() {
+            metrics = metricsd({
+                protocol: "statsd",
+                logger: function() {}
+            });
+        });
 
+        it("should write histograms as timers", function(done) {
             metrics._send = function(str) {
-                expect(str).to.equal(name + ":1|c");
+                expect(str).to.equal("latency:12|ms");
 
                 done();
             };
 
-            metrics.inc(name);
+            metrics.updateHistogram("latency", 12);
         });
 
-        it("should increment the named counter by the specified value", function(done) {
-            var name = "Florence";
-            var value = 12;
+        it("should write timers as timers", function(done) {
+            metrics._send = function(str) {
+                expect(str).to.match(/^render:\d+\|ms$/);
 
+                done();
+            };
+
+            metrics.time("render").stop();
+        });
+
+        it("should write meter marks as counter increments", function(done) {
             metrics._send = function(str) {
-                expect(str).to.equal(name + ":" + value + "|c");
+                expect(str).to.equal("requests:1|c");
 
                 done();
             };
 
-            metrics.inc(name, value);
+            metrics.mark("requests");
         });
 
-        it("should do nothing if no name was provided", function(done) {
+        it("should write multiple meter marks as a single counter increment", function(done) {
             metrics._send = function(str) {
-                expect(str).to.equal(undefined);
+                expect(str).to.equal("requests:3|c");
+
+                done();
             };
 
-            metrics.inc();
+            metrics.mark("requests", 3);
+        });
+
+        it("should ignore deletes", function(done) {
+            metrics._send = function(str) {
+                throw new Error("should not have been called");
+            };
+
+            metrics.deleteCounter("a");
+            metrics.deleteGauge("b");
+            metrics.deleteHistogram("c");
+            metrics.deleteMeter("d");
 
             setTimeout(done, 10);
         });
+
+        it("should warn once when deletes are ignored", function() {
+            var warnings = 0;
+
+            metrics.logger = function() {
+                warnings++;
+            };
+
+            metrics.deleteCounter("a");
+            metrics.deleteMeter("b");
+
+            expect(warnings).to.equal(1);
+        });
     });
 
-    describe("#dec", function() {
-        it("should decrement the named counter", function(done) {
-            var name = "x";
+    describe(".tags", function() {
+        it("should default to null", function() {
+            expect(metrics.tags).to.equal(null);
+        });
 
-            metrics._send = function(str) {
-                expect(str).to.equal(name + ":-1|c");
+        it("may be overridden by providing an option to the factory", function() {
+            var tags = { env: "production" };
+
+            expect(metricsd({ tags: tags }).tags).to.equal(tags);
+        });
+    });
+
+    describe("with tags", function() {
+        var tagged;
+
+        beforeEach(function() {
+            tagged = metricsd({
+                protocol: "dogstatsd",
+                tags: {
+                    env: "production"
+                }
+            });
+        });
+
+        it("should append default tags", function(done) {
+            tagged._send = function(str) {
+                expect(str).to.equal("requests:1|c|#env:production");
 
                 done();
             };
 
-            metrics.dec(name);
+            tagged.inc("requests");
         });
 
-        it("should decrement the named counter by the specified value", function(done) {
-            var name = "y";
-            var value = 6;
-
-            metrics._send = function(str) {
-                expect(str).to.equal(name + ":-" + value + "|c");
+        it("should append tags provided with each call", function(done) {
+            tagged._send = function(str) {
+                expect(str).to.equal("depth:4|g|#env:production,queue:email");
 
                 done();
             };
 
-            metrics.dec(name, 6);
+            tagged.updateGauge("depth", 4, { queue: "email" });
         });
 
-        it("should do nothing if no name was provided", function(done) {
-            metrics._send = function(str) {
-                expect(str).to.equal(undefined);
+        it("should accept tags as an array", function(done) {
+            tagged._send = function(str) {
+                expect(str).to.equal("size:4|h|#env:production,queue:email,canary");
+
+                done();
             };
 
-            metrics.dec();
+            tagged.updateHistogram("size", 4, ["queue:email", "canary"]);
+        });
 
-            setTimeout(done, 10);
+        it("should replace default tags with the same key", function(done) {
+            tagged._send = function(str) {
+                expect(str).to.equal("requests:1|c|#env:staging");
+
+                done();
+            };
+
+            tagged.inc("requests", 1, null, { env: "staging" });
         });
-    });
 
-    describe("#mark", function() {
-        it("should mark a named meter", function(done) {
-            var name = "m";
+        it("should append tags after the sample rate", function(done) {
+            Math.random = function() {
+                return 0;
+            };
 
-            metrics._send = function(str) {
-                expect(str).to.equal(name + "");
+            tagged._send = function(str) {
+                expect(str).to.equal("requests:1|c|@0.5|#env:production");
 
                 done();
             };
 
-            metrics.mark(name);
+            tagged.updateCounter("requests", 1, 0.5);
         });
 
-        it("should update a prefixed, named meter", function(done) {
-            var name = "ticks";
+        it("should append per-metric tags", function(done) {
+            var counter = tagged.count("requests", { tags: { route: "home" } });
 
-            prefixed._send = function(str) {
-                expect(str).to.equal(prefix + "." + name + "");
+            tagged._send = function(str) {
+                expect(str).to.equal("requests:1|c|#env:production,route:home,status:200");
 
                 done();
             };
 
-            prefixed.mark(name);
+            counter.inc(1, { status: 200 });
         });
 
-        it("should do nothing if no name was provided", function(done) {
-            metrics._send = function(str) {
-                expect(str).to.equal(undefined);
+        it("should append tags to meter marks", function(done) {
+            var meter = tagged.meter("hits", { tags: { route: "home" } });
+
+            tagged._send = function(str) {
+                expect(str).to.equal("hits:1|c|#env:production,route:home");
+
+                done();
             };
 
-            metrics.mark();
+            meter.mark();
+        });
 
-            setTimeout(done, 10);
+        it("should append tags to timers", function(done) {
+            var timer = tagged.time("render", { tags: { route: "home" } });
+
+            tagged._send = function(str) {
+                expect(str).to.match(/^render:\d+\|h\|#env:production,route:home,status:200$/);
+
+                done();
+            };
+
+            timer.stop({ status: 200 });
         });
-    });
 
-    describe("#meter", function() {
-        it("should return a named meter", function() {
-            var name = "Elliot";
+        it("should accept timer tags as an array", function(done) {
+            var timer = tagged.time("render");
 
-            var meter = metrics.meter(name);
+            tagged._send = function(str) {
+                expect(str).to.match(/^render:\d+\|h\|#env:production,route:home$/);
 
-            expect(meter).to.be.an.instanceof(metrics.Meter);
-            expect(meter.name).to.equal(name);
+                done();
+            };
+
+            timer.stop(["route:home"]);
         });
 
-        it("should return undefined if no name was provided", function() {
-            expect(metrics.meter()).to.equal(undefined);
+        it("should accept lap tags as an array", function(done) {
+            var timer = tagged.time();
+
+            tagged._send = function(str) {
+                expect(str).to.match(/^render\.db:\d+\|h\|#env:production,route:home$/);
+
+                done();
+            };
+
+            timer.lap("%s.db", "render", ["route:home"]);
         });
-    });
 
-    describe("#time", function() {
-        it("should return a named timer", function() {
-            var name = "Bob";
+        it("should replace reserved characters in tags", function(done) {
+            tagged._send = function(str) {
+                expect(str).to.equal("requests:1|c|#env:production,path:_a_b_c");
 
-            var timer = metrics.time(name);
+                done();
+            };
 
-            expect(timer).to.be.an.instanceof(metrics.Timer);
-            expect(timer.name).to.equal(name);
+            tagged.inc("requests", 1, { path: "|a,b#c" });
         });
 
-        it("should return an anonymous timer if no name was provided", function() {
-            var timer = metrics.time();
+        it("should fold tags into the name if the protocol doesn't support them", function(done) {
+            metrics = metricsd({
+                tags: {
+                    host: "web1.example.com"
+                }
+            });
 
-            expect(timer).to.be.an.instanceof(metrics.Timer);
-            expect(timer.name).to.equal(undefined);
+            metrics._send = function(str) {
+                expect(str).to.equal("requests.host.web1_example_com.status.200:1|c");
+
+                done();
+            };
+
+            metrics.inc("requests", 1, { status: 200 });
         });
     });
 
-    describe("#timeCallback", function() {
-        it("should throw if no args were provided", function() {
-            expect(metrics.timeCallback).to.throw(Error);
+    describe(".transport", function() {
+        it("should default to 'udp'", function() {
+            expect(metrics.transport).to.equal("udp");
         });
 
-        it("should throw if a name is omitted", function() {
-            expect(metrics.timeCallback.bind(null, function() {})).to.throw(Error);
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ transport: "tcp" }).transport).to.equal("tcp");
         });
 
-        it("should wrap a callback with a named timer", function(done) {
-            var name = "timer";
+        it("should throw if the transport is unsupported", function() {
+            var factory = function() {
+                return metricsd({ transport: "carrier-pigeon" });
+            };
 
-            metrics._send = function(str) {
-                expect(str).to.match(new RegExp(name + ":\\d+\\|h"));
+            expect(factory).to.throw(Error);
+        });
 
-                done();
+        it("may be a custom transport", function() {
+            var transport = {
+                write: function(lines) {},
+                flush: function(callback) {},
+                close: function(callback) {}
             };
 
-            var wrappedCallback = metrics.timeCallback("timer", function() {});
+            expect(metricsd({ transport: transport }).transport).to.equal(transport);
+        });
 
-            setTimeout(wrappedCallback, 1);
+        it("should throw if a custom transport is incomplete", function() {
+            var factory = function() {
+                return metricsd({
+                    transport: {
+                        write: function(lines) {}
+                    }
+                });
+            };
+
+            expect(factory).to.throw(Error);
         });
     });
 
-    describe("#close", function() {
-        it("should release internal resources");
-    });
+    describe("with a custom transport", function() {
+        var transport;
+        var calls;
 
-    describe("#write", function() {
-        describe("in network mode", function() {
-            var port = 1234;
-            var sink;
+        beforeEach(function() {
+            calls = [];
+
+            transport = {
+                write: function(lines) {
+                    calls.push(["write", lines]);
+                },
+                flush: function(callback) {
+                    calls.push(["flush"]);
+                    callback();
+                },
+                close: function(callback) {
+                    calls.push(["close"]);
+                    callback();
+                }
+            };
 
-            beforeEach(function(done) {
-                metrics = metricsd({
-                    port: port
-                });
+            metrics = metricsd({
+                transport: transport
+            });
+        });
 
-                sink = require("dgram").createSocket("udp4");
+        it("should write lines without line endings", function() {
+            metrics.write("a:1|c\n");
+            metrics.inc("b");
 
-                sink.once("listening", done);
+            expect(calls).to.eql([
+                ["write", ["a:1|c"]],
+                ["write", ["b:1|c"]]
+            ]);
+        });
 
-                sink.bind(port);
+        it("should be flushed by #flush", function(done) {
+            metrics.flush(function() {
+                expect(calls).to.eql([["flush"]]);
+
+                done();
             });
+        });
 
-            afterEach(function(done) {
-                sink.once("close", done);
+        it("should be closed by #close", function(done) {
+            metrics.inc("a");
 
-                sink.close();
+            metrics.close(function() {
+                expect(calls[1]).to.eql(["close"]);
+
+                done();
             });
+        });
 
-            it("should write a metricsd string to the network", function(done) {
-                var metric = "prefix.metric.name:1234|g\n";
+        it("should be closed by #close if nothing was written", function(done) {
+            metrics.close(function() {
+                expect(calls).to.eql([["close"]]);
 
-                sink.once("message", function(msg, rinfo) {
-                    expect(msg.toString()).to.equal(metric);
+                done();
+            });
+        });
+
+        it("should not be written to once closed", function(done) {
+            var dropped = 0;
+
+            metrics.on("drop", function(count, err) {
+                dropped += count;
+
+                expect(err).to.be.an.instanceof(Error);
+            });
+
+            metrics.close(function() {
+                metrics.inc("a");
+
+                metrics.flush(function() {
+                    metrics.close(function() {
+                        expect(calls).to.eql([["close"]]);
+                        expect(dropped).to.equal(1);
+                        expect(metrics.stats().droppedLines).to.equal(1);
+
+                        done();
+                    });
+                });
+            });
+        });
+
+        it("should not be used in log mode", function() {
+            metrics.log = true;
+            metrics.logger = function() {};
+
+            metrics.inc("a");
+
+            expect(calls).to.be.empty;
+        });
+    });
+
+    describe(".path", function() {
+        it("should default to null", function() {
+            expect(metrics.path).to.equal(null);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ transport: "unix", path: "/tmp/metricsd.sock" }).path).to.equal("/tmp/metricsd.sock");
+        });
+
+        it("should be required when using the unix transport", function() {
+            var factory = function() {
+                return metricsd({ transport: "unix" });
+            };
+
+            expect(factory).to.throw(Error);
+        });
+    });
+
+    describe(".dnsTtl", function() {
+        it("should default to 60s", function() {
+            expect(metrics.dnsTtl).to.equal(60000);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ dnsTtl: 1000 }).dnsTtl).to.equal(1000);
+        });
+    });
+
+    describe(".queueSize", function() {
+        it("should default to 1000", function() {
+            expect(metrics.queueSize).to.equal(1000);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ queueSize: 10 }).queueSize).to.equal(10);
+        });
+    });
+
+    describe(".reconnectDelay", function() {
+        it("should default to 100ms", function() {
+            expect(metrics.reconnectDelay).to.equal(100);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ reconnectDelay: 10 }).reconnectDelay).to.equal(10);
+        });
+    });
+
+    describe(".maxReconnectDelay", function() {
+        it("should default to 30s", function() {
+            expect(metrics.maxReconnectDelay).to.equal(30000);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ maxReconnectDelay: 1000 }).maxReconnectDelay).to.equal(1000);
+        });
+    });
+
+    describe(".aggregate", function() {
+        it("should default to false", function() {
+            expect(metrics.aggregate).to.be.false;
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ aggregate: true }).aggregate).to.be.true;
+        });
+    });
+
+    describe(".aggregateInterval", function() {
+        it("should default to 1s", function() {
+            expect(metrics.aggregateInterval).to.equal(1000);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ aggregateInterval: 10000 }).aggregateInterval).to.equal(10000);
+        });
+    });
+
+    describe("when aggregating", function() {
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            metrics = metricsd({
+                aggregate: true,
+                aggregateInterval: 10
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+        });
+
+        afterEach(function() {
+            metrics.close();
+        });
+
+        it("should sum counter updates", function() {
+            metrics.inc("rows");
+            metrics.inc("rows", 4);
+            metrics.dec("rows");
+
+            expect(sent).to.be.empty;
+
+            metrics.flush();
+
+            expect(sent).to.eql(["rows:4|c"]);
+        });
+
+        it("should use the last gauge value", function() {
+            metrics.updateGauge("depth", 4);
+            metrics.updateGauge("depth", 2);
+
+            metrics.flush();
+
+            expect(sent).to.eql(["depth:2|g"]);
+        });
+
+        it("should aggregate metrics with different tags separately", function() {
+            metrics = metricsd({
+                aggregate: true,
+                protocol: "dogstatsd"
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            metrics.inc("requests", 1, { status: 200 });
+            metrics.inc("requests", 1, { status: 500 });
+            metrics.inc("requests", 1, { status: 200 });
+
+            metrics.flush();
+
+            expect(sent).to.eql([
+                "requests:2|c|#status:200",
+                "requests:1|c|#status:500"
+            ]);
+        });
+
+        it("should not aggregate histograms", function() {
+            metrics.updateHistogram("size", 4);
+
+            expect(sent).to.eql(["size:4|h"]);
+        });
+
+        it("should not sample aggregated metrics", function() {
+            Math.random = function() {
+                return 0.99;
+            };
+
+            metrics.inc("rows", 1, 0.1);
+            metrics.flush();
+
+            expect(sent).to.eql(["rows:1|c"]);
+        });
+
+        it("should discard aggregated values when a metric is deleted", function() {
+            metrics.inc("rows");
+            metrics.deleteCounter("rows");
+            metrics.flush();
+
+            expect(sent).to.eql(["rows:delete|c"]);
+        });
+
+        it("should write aggregated values periodically", function(done) {
+            metrics.inc("rows");
+            metrics.inc("rows");
+
+            setTimeout(function() {
+                expect(sent).to.eql(["rows:2|c"]);
+
+                done();
+            }, 30);
+        });
+
+        it("should write aggregated values when closed", function() {
+            metrics.inc("rows");
+            metrics.close();
+
+            expect(sent).to.eql(["rows:1|c"]);
+        });
+
+        it("should not aggregate when disabled", function() {
+            metrics.enabled = false;
+
+            metrics.inc("rows");
+
+            metrics.enabled = true;
+
+            metrics.flush();
+
+            expect(sent).to.be.empty;
+        });
+    });
+
+    describe(".localHistograms", function() {
+        it("should default to false", function() {
+            expect(metrics.localHistograms).to.be.false;
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ localHistograms: true }).localHistograms).to.be.true;
+        });
+    });
+
+    describe(".percentiles", function() {
+        it("should default to the median, 75th, 95th, 99th and 99.9th percentiles", function() {
+            expect(metrics.percentiles).to.eql([0.5, 0.75, 0.95, 0.99, 0.999]);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ percentiles: [0.9] }).percentiles).to.eql([0.9]);
+        });
+    });
+
+    describe(".reportInterval", function() {
+        it("should default to 10s", function() {
+            expect(metrics.reportInterval).to.equal(10000);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ reportInterval: 60000 }).reportInterval).to.equal(60000);
+        });
+    });
+
+    describe("with local histograms", function() {
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            metrics = metricsd({
+                protocol: "statsd",
+                localHistograms: true,
+                reportInterval: 10,
+                logger: function() {}
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+        });
+
+        afterEach(function() {
+            metrics.close();
+        });
+
+        it("should summarize histograms as gauges", function() {
+            [1, 2, 3, 4, 5].forEach(function(value) {
+                metrics.updateHistogram("size", value);
+            });
+
+            expect(sent).to.be.empty;
+
+            metrics.flush();
+
+            expect(sent).to.eql([
+                "size.min:1|g",
+                "size.max:5|g",
+                "size.mean:3|g",
+                "size.median:3|g",
+                "size.p75:4.5|g",
+                "size.p95:5|g",
+                "size.p99:5|g",
+                "size.p999:5|g",
+                "size.count:5|g"
+            ]);
+        });
+
+        it("should summarize timers", function() {
+            metrics.time("render").stop();
+            metrics.flush();
+
+            expect(sent).to.have.length(9);
+            expect(sent[8]).to.equal("render.count:1|g");
+        });
+
+        it("should report configured percentiles", function() {
+            metrics = metricsd({
+                localHistograms: true,
+                percentiles: [0.9]
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            metrics.updateHistogram("size", 1);
+            metrics.flush();
+
+            expect(sent).to.eql([
+                "size.min:1|g",
+                "size.max:1|g",
+                "size.mean:1|g",
+                "size.p90:1|g",
+                "size.count:1|g"
+            ]);
+        });
+
+        it("should summarize histograms with different tags separately", function() {
+            metrics = metricsd({
+                protocol: "dogstatsd",
+                localHistograms: true,
+                percentiles: []
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            metrics.updateHistogram("size", 1, { queue: "a" });
+            metrics.updateHistogram("size", 2, { queue: "b" });
+            metrics.flush();
+
+            expect(sent).to.include("size.max:1|g|#queue:a");
+            expect(sent).to.include("size.max:2|g|#queue:b");
+        });
+
+        it("should not sample local histograms", function() {
+            Math.random = function() {
+                return 0.99;
+            };
+
+            metrics.updateHistogram("size", 1, 0.1);
+            metrics.flush();
+
+            expect(sent).to.include("size.count:1|g");
+        });
+
+        it("should reset histograms once they've been reported", function() {
+            metrics.updateHistogram("size", 10);
+            metrics.flush();
+
+            sent = [];
+
+            metrics.updateHistogram("size", 1);
+            metrics.flush();
+
+            expect(sent).to.include("size.max:1|g");
+            expect(sent).to.include("size.count:1|g");
+        });
+
+        it("should stop reporting histograms that haven't been updated", function() {
+            metrics.updateHistogram("size", 10);
+            metrics.flush();
+
+            sent = [];
+
+            metrics.flush();
+
+            expect(sent).to.be.empty;
+        });
+
+        it("should report histograms periodically", function(done) {
+            metrics.updateHistogram("size", 1);
+
+            setTimeout(function() {
+                expect(sent).to.include("size.count:1|g");
+
+                done();
+            }, 30);
+        });
+
+        it("should report histograms when closed", function() {
+            metrics.updateHistogram("size", 1);
+            metrics.close();
+
+            expect(sent).to.include("size.count:1|g");
+        });
+
+        it("should discard sampled values when a histogram is deleted", function() {
+            metrics.updateHistogram("size", 1);
+            metrics.deleteHistogram("size");
+            metrics.flush();
+
+            expect(sent).to.be.empty;
+        });
+
+        it("should delete summary gauges when using metricsd", function() {
+            metrics = metricsd({
+                localHistograms: true,
+                percentiles: [0.5]
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            metrics.updateHistogram("size", 1);
+            metrics.deleteHistogram("size");
+
+            expect(sent).to.eql([
+                "size.min:delete|g",
+                "size.max:delete|g",
+                "size.mean:delete|g",
+                "size.median:delete|g",
+                "size.count:delete|g"
+            ]);
+        });
+
+        it("should not sample values when disabled", function() {
+            metrics.enabled = false;
+
+            metrics.updateHistogram("size", 1);
+
+            metrics.enabled = true;
+
+            metrics.flush();
+
+            expect(sent).to.be.empty;
+        });
+
+        describe(".Histogram", function() {
+            it("may be summarized locally when localHistograms is false", function() {
+                metrics = metricsd({
+                    percentiles: []
+                });
+
+                metrics._send = function(str) {
+                    sent.push(str);
+                };
+
+                metrics.histogram("size", { local: true }).update(1);
+                metrics.flush();
+
+                expect(sent).to.eql([
+                    "size.min:1|g",
+                    "size.max:1|g",
+                    "size.mean:1|g",
+                    "size.count:1|g"
+                ]);
+            });
+
+            it("may opt out of local summaries", function() {
+                metrics.histogram("size", { local: false }).update(1);
+
+                expect(sent).to.eql(["size:1|ms"]);
+            });
+
+            it("may report its own percentiles", function() {
+                metrics.histogram("size", { percentiles: [0.99] }).update(1);
+                metrics.flush();
+
+                expect(sent).to.include("size.p99:1|g");
+                expect(sent).not.to.include("size.median:1|g");
+            });
+
+            it("may accumulate values across reports", function() {
+                var histogram = metrics.histogram("size", { reset: false });
+
+                histogram.update(10);
+                metrics.flush();
+
+                sent = [];
+
+                histogram.update(1);
+                metrics.flush();
+
+                expect(sent).to.include("size.max:10|g");
+                expect(sent).to.include("size.count:2|g");
+            });
+        });
+    });
+
+    describe(".sanitize", function() {
+        it("should default to replace", function() {
+            expect(metrics.sanitize).to.equal("replace");
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ sanitize: "strip" }).sanitize).to.equal("strip");
+        });
+
+        it("should reject unsupported policies", function() {
+            expect(function() {
+                metricsd({ sanitize: "ignore" });
+            }).to.throw(Error);
+        });
+    });
+
+    describe(".maxNameLength", function() {
+        it("should default to null", function() {
+            expect(metrics.maxNameLength).to.equal(null);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ maxNameLength: 200 }).maxNameLength).to.equal(200);
+        });
+    });
+
+    describe(".clientMetrics", function() {
+        it("should default to false", function() {
+            expect(metrics.clientMetrics).to.be.false;
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            var m = metricsd({ clientMetrics: true });
+
+            expect(m.clientMetrics).to.be.true;
+
+            m.close();
+        });
+    });
+
+    describe(".clientMetricsInterval", function() {
+        it("should default to 10s", function() {
+            expect(metrics.clientMetricsInterval).to.equal(10000);
+        });
+
+        it("may be overridden by providing an option to the factory", function() {
+            expect(metricsd({ clientMetricsInterval: 60000 }).clientMetricsInterval).to.equal(60000);
+        });
+    });
+
+    describe("with client metrics", function() {
+        var EventEmitter = require("events").EventEmitter;
+        var transport;
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            transport = new EventEmitter();
+
+            transport.queued = 0;
+            transport.write = function(lines) {
+                sent.push.apply(sent, lines);
+
+                transport.emit("send", lines.length, Buffer.byteLength(lines.join("\n") + "\n"));
+            };
+            transport.flush = transport.close = function(callback) {
+                process.nextTick(callback);
+            };
+
+            metrics = metricsd({
+                prefix: "app",
+                transport: transport,
+                clientMetrics: true,
+                clientMetricsInterval: 10,
+                logger: function() {}
+            });
+        });
+
+        afterEach(function() {
+            metrics.close();
+        });
+
+        it("should write health metrics when closed", function() {
+            metrics.inc("a");
+
+            transport.emit("error", new Error("failed"));
+            transport.emit("drop", 2);
+            transport.emit("reopen");
+            transport.queued = 3;
+
+            metrics.close();
+
+            expect(sent).to.eql([
+                "app.a:1|c",
+                "app.metricsd.client.sent:1|c",
+                "app.metricsd.client.bytes:10|c",
+                "app.metricsd.client.errors:1|c",
+                "app.metricsd.client.dropped:2|c",
+                "app.metricsd.client.socket_reopens:1|c",
+                "app.metricsd.client.queue_depth:3|g"
+            ]);
+        });
+
+        it("should write aggregated health metrics before closing the transport", function(done) {
+            // replaced below
+            metrics.close();
+
+            var close = transport.close;
+            var closed = false;
+
+            transport.close = function(callback) {
+                closed = true;
+
+                close(callback);
+            };
+
+            var write = transport.write;
+
+            transport.write = function(lines) {
+                expect(closed).to.be.false;
+
+                write(lines);
+            };
+
+            metrics = metricsd({
+                prefix: "app",
+                transport: transport,
+                aggregate: true,
+                clientMetrics: true
+            });
+
+            metrics.inc("a");
+
+            metrics.close(function() {
+                expect(sent).to.include("app.metricsd.client.queue_depth:0|g");
+
+                // (this one has been closed)
+                metrics = metricsd();
+
+                done();
+            });
+        });
+
+        it("should write health metrics periodically", function(done) {
+            setTimeout(function() {
+                expect(sent).to.include("app.metricsd.client.sent:0|c");
+
+                done();
+            }, 30);
+        });
+
+        it("should write what has happened since the last report", function(done) {
+            var write = transport.write;
+
+            transport.write = function(lines) {
+                write(lines);
+
+                // the previous report's 6 metrics
+                if (lines[0] === "app.metricsd.client.sent:6|c") {
+                    transport.write = write;
+
+                    expect(sent).to.include("app.metricsd.client.sent:1|c");
+
+                    done();
+                }
+            };
+
+            metrics.inc("a");
+        });
+
+        it("should not be written by scopes", function() {
+            metrics.scope("db").close();
+
+            expect(sent).to.be.empty;
+        });
+    });
+
+    describe("name sanitization", function() {
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+        });
+
+        it("should replace reserved characters with underscores", function() {
+            metrics.inc("a b:c|d@e#f\ng");
+
+            expect(sent).to.eql(["a_b_c_d_e_f_g:1|c"]);
+        });
+
+        it("should remove empty segments", function() {
+            metrics.inc(".a..b.");
+
+            expect(sent).to.eql(["a.b:1|c"]);
+        });
+
+        it("should truncate long names", function() {
+            metrics = metricsd({
+                maxNameLength: 5
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            metrics.inc("abcdefg");
+
+            expect(sent).to.eql(["abcde:1|c"]);
+        });
+
+        it("should include the prefix when truncating", function() {
+            prefixed = metricsd({
+                prefix: prefix,
+                maxNameLength: 6
+            });
+
+            prefixed._send = function(str) {
+                sent.push(str);
+            };
+
+            prefixed.inc("abcdefg");
+
+            expect(sent).to.eql([prefix + ".a:1|c"]);
+        });
+
+        it("should include folded tags when truncating", function() {
+            metrics = metricsd({
+                protocol: "statsd",
+                tags: { region: "us-east" },
+                maxNameLength: 12
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            metrics.inc("requests");
+
+            expect(sent).to.eql(["requests.reg:1|c"]);
+        });
+
+        it("should sanitize marks", function() {
+            metrics.mark("a:b");
+
+            expect(sent).to.eql(["a_b"]);
+        });
+
+        it("should sanitize names of metric objects", function() {
+            expect(metrics.count("a:b").name).to.equal("a_b");
+            expect(metrics.gauge("a:b").name).to.equal("a_b");
+            expect(metrics.histogram("a:b").name).to.equal("a_b");
+            expect(metrics.meter("a:b").name).to.equal("a_b");
+            expect(metrics.time("a:b").name).to.equal("a_b");
+        });
+
+        it("should sanitize formatted metrics", function() {
+            expect(metrics.format("%s:%d|c", "a|b", 1)).to.equal("a_b:1|c");
+        });
+
+        it("should not write metrics with nothing left after sanitizing", function() {
+            metrics.inc(".");
+
+            expect(sent).to.be.empty;
+        });
+
+        describe("when stripping", function() {
+            beforeEach(function() {
+                metrics = metricsd({
+                    sanitize: "strip"
+                });
+
+                metrics._send = function(str) {
+                    sent.push(str);
+                };
+            });
+
+            it("should strip reserved characters", function() {
+                metrics.inc("a b:c..d");
+
+                expect(sent).to.eql(["abc.d:1|c"]);
+            });
+        });
+
+        describe("when throwing", function() {
+            beforeEach(function() {
+                metrics = metricsd({
+                    sanitize: "throw",
+                    maxNameLength: 5
+                });
+
+                metrics._send = function(str) {
+                    sent.push(str);
+                };
+            });
+
+            it("should throw on reserved characters", function() {
+                expect(function() {
+                    metrics.inc("a:b");
+                }).to.throw(/invalid metric name/);
+            });
+
+            it("should throw on empty segments", function() {
+                expect(function() {
+                    metrics.mark("a..b");
+                }).to.throw(/invalid metric name/);
+            });
+
+            it("should throw on long names", function() {
+                expect(function() {
+                    metrics.inc("abcdef");
+                }).to.throw(/invalid metric name/);
+            });
+
+            it("should throw on long names after folding tags", function() {
+                metrics = metricsd({
+                    protocol: "statsd",
+                    sanitize: "throw",
+                    tags: { region: "us-east" },
+                    maxNameLength: 8
+                });
+
+                expect(function() {
+                    metrics.inc("requests");
+                }).to.throw(/invalid metric name/);
+            });
+
+            it("should throw on long names of histogram summaries", function() {
+                metrics = metricsd({
+                    sanitize: "throw",
+                    localHistograms: true,
+                    maxNameLength: 8
+                });
+
+                expect(function() {
+                    metrics.updateHistogram("latency", 1);
+                }).to.throw(/invalid metric name/);
+            });
+
+            it("should throw on long names of reported meter rates", function() {
+                expect(function() {
+                    new metrics.Meter("a", { report: true });
+                }).to.throw(/invalid metric name/);
+            });
+
+            it("should throw when creating metric objects", function() {
+                expect(function() {
+                    new metrics.Counter("a:b");
+                }).to.throw(/invalid metric name/);
+
+                expect(function() {
+                    new metrics.Timer("a:b");
+                }).to.throw(/invalid metric name/);
+            });
+
+            it("should accept valid names", function() {
+                metrics.inc("a.b");
+
+                expect(sent).to.eql(["a.b:1|c"]);
+            });
+        });
+    });
+
+    it("should close idle sockets");
+    it("should periodically close active sockets to avoid leaking memory");
+
+    describe("#count", function() {
+        it("should return a named counter", function() {
+            var name = "Jackie";
+
+            var counter = metrics.count(name);
+
+            expect(counter).to.be.an.instanceof(metrics.Counter);
+            expect(counter.name).to.equal(name);
+        });
+
+        it("should return undefined if no name was provided", function() {
+            expect(metrics.count()).to.equal(undefined);
+        });
+    });
+
+    describe("#gauge", function() {
+        it("should return a named gauge", function() {
+            var name = "Brian";
+
+            var gauge = metrics.gauge("%s", name);
+
+            expect(gauge).to.be.an.instanceof(metrics.Gauge);
+            expect(gauge.name).to.equal(name);
+        });
+
+        it("should return undefined if no name was provided", function() {
+            expect(metrics.gauge()).to.equal(undefined);
+        });
+
+        it("should poll a provided function for the gauge's value", function(done) {
+            var gauge = metrics.gauge("%s", "depth", function() {
+                return 42;
+            }, { interval: 10 });
+
+            metrics._send = function(str) {
+                metrics._send = function() {};
+                gauge.unregister();
+
+                expect(str).to.equal("depth:42|g");
+
+                done();
+            };
+        });
+    });
+
+    describe("#registerGauge", function() {
+        var gauge;
+
+        afterEach(function() {
+            if (gauge) {
+                gauge.unregister();
+            }
+
+            gauge = undefined;
+        });
+
+        it("should return a polled gauge", function() {
+            var fn = function() {};
+
+            gauge = metrics.registerGauge("pool.size", fn, 1000);
+
+            expect(gauge).to.be.an.instanceof(metrics.Gauge);
+            expect(gauge.name).to.equal("pool.size");
+            expect(gauge.fn).to.equal(fn);
+            expect(gauge.interval).to.equal(1000);
+        });
+
+        it("should default to reportInterval", function() {
+            metrics = metricsd({
+                reportInterval: 2500
+            });
+
+            gauge = metrics.registerGauge("pool.size", function() {});
+
+            expect(gauge.interval).to.equal(2500);
+        });
+
+        it("should emit the function's result periodically", function(done) {
+            var values = [];
+            var value = 0;
+
+            metrics._send = function(str) {
+                values.push(str);
+
+                if (values.length === 2) {
+                    expect(values).to.deep.equal([
+                        "queue.depth:1|g",
+                        "queue.depth:2|g"
+                    ]);
+
+                    done();
+                }
+            };
+
+            gauge = metrics.registerGauge("queue.depth", function() {
+                return ++value;
+            }, 10);
+        });
+
+        it("should apply tags", function(done) {
+            metrics = metricsd({
+                protocol: "dogstatsd",
+                logger: function() {}
+            });
+
+            metrics._send = function(str) {
+                expect(str).to.equal("queue.depth:3|g|#queue:jobs");
+
+                done();
+            };
+
+            gauge = metrics.registerGauge("queue.depth", function() {
+                return 3;
+            }, 10, { tags: { queue: "jobs" } });
+        });
+    });
+
+    describe("#unregisterGauge", function() {
+        it("should stop polling and delete the named gauge", function(done) {
+            var calls = 0;
+
+            metrics.registerGauge("pool.size", function() {
+                calls++;
+
+                return 1;
+            }, 10);
+
+            metrics._send = function(str) {
+                expect(str).to.equal("pool.size:delete|g");
+
+                setTimeout(function() {
+                    expect(calls).to.equal(0);
+
+                    done();
+                }, 25);
+            };
+
+            metrics.unregisterGauge("pool.size");
+        });
+    });
+
+    describe("#histogram", function() {
+        it("should return a named histogram", function() {
+            var name = "Paul";
+
+            var histogram = metrics.histogram(name);
+
+            expect(histogram).to.be.an.instanceof(metrics.Histogram);
+            expect(histogram.name).to.equal(name);
+        });
+
+        it("should return undefined if no name was provided", function() {
+            expect(metrics.gauge()).to.equal(undefined);
+        });
+    });
+
+    describe("#inc", function() {
+        it("should increment the named counter", function(done) {
+            var name = "Whately";
+
+            metrics._send = function(str) {
+                expect(str).to.equal(name + ":1|c");
+
+                done();
+            };
+
+            metrics.inc(name);
+        });
+
+        it("should increment the named counter by the specified value", function(done) {
+            var name = "Florence";
+            var value = 12;
+
+            metrics._send = function(str) {
+                expect(str).to.equal(name + ":" + value + "|c");
+
+                done();
+            };
+
+            metrics.inc(name, value);
+        });
+
+        it("should do nothing if no name was provided", function(done) {
+            metrics._send = function(str) {
+                expect(str).to.equal(undefined);
+            };
+
+            metrics.inc();
+
+            setTimeout(done, 10);
+        });
+    });
+
+    describe("#dec", function() {
+        it("should decrement the named counter", function(done) {
+            var name = "x";
+
+            metrics._send = function(str) {
+                expect(str).to.equal(name + ":-1|c");
+
+                done();
+            };
+
+            metrics.dec(name);
+        });
+
+        it("should decrement the named counter by the specified value", function(done) {
+            var name = "y";
+            var value = 6;
+
+            metrics._send = function(str) {
+                expect(str).to.equal(name + ":-" + value + "|c");
+
+                done();
+            };
+
+            metrics.dec(name, 6);
+        });
+
+        it("should do nothing if no name was provided", function(done) {
+            metrics._send = function(str) {
+                expect(str).to.equal(undefined);
+            };
+
+            metrics.dec();
+
+            setTimeout(done, 10);
+        });
+    });
+
+    describe("#mark", function() {
+        it("should mark a named meter", function(done) {
+            var name = "m";
+
+            metrics._send = function(str) {
+                expect(str).to.equal(name + "");
+
+                done();
+            };
+
+            metrics.mark(name);
+        });
+
+        it("should update a prefixed, named meter", function(done) {
+            var name = "ticks";
+
+            prefixed._send = function(str) {
+                expect(str).to.equal(prefix + "." + name + "");
+
+                done();
+            };
+
+            prefixed.mark(name);
+        });
+
+        it("should mark multiple occurrences", function(done) {
+            metrics._send = function(str) {
+                expect(str).to.equal("m:3|m");
+
+                done();
+            };
+
+            metrics.mark("m", 3);
+        });
+
+        it("should do nothing if no name was provided", function(done) {
+            metrics._send = function(str) {
+                expect(str).to.equal(undefined);
+            };
+
+            metrics.mark();
+
+            setTimeout(done, 10);
+        });
+    });
+
+    describe("#meter", function() {
+        it("should return a named meter", function() {
+            var name = "Elliot";
+
+            var meter = metrics.meter(name);
+
+            expect(meter).to.be.an.instanceof(metrics.Meter);
+            expect(meter.name).to.equal(name);
+        });
+
+        it("should return undefined if no name was provided", function() {
+            expect(metrics.meter()).to.equal(undefined);
+        });
+    });
+
+    describe("#time", function() {
+        it("should return a named timer", function() {
+            var name = "Bob";
+
+            var timer = metrics.time(name);
+
+            expect(timer).to.be.an.instanceof(metrics.Timer);
+            expect(timer.name).to.equal(name);
+        });
+
+        it("should return an anonymous timer if no name was provided", function() {
+            var timer = metrics.time();
+
+            expect(timer).to.be.an.instanceof(metrics.Timer);
+            expect(timer.name).to.equal(undefined);
+        });
+    });
+
+    describe("#timeCallback", function() {
+        it("should throw if no args were provided", function() {
+            expect(metrics.timeCallback).to.throw(Error);
+        });
+
+        it("should throw if a name is omitted", function() {
+            expect(metrics.timeCallback.bind(null, function() {})).to.throw(Error);
+        });
+
+        it("should wrap a callback with a named timer", function(done) {
+            var name = "timer";
+
+            metrics._send = function(str) {
+                expect(str).to.match(new RegExp(name + ":\\d+\\|h"));
+
+                done();
+            };
+
+            var wrappedCallback = metrics.timeCallback("timer", function() {});
+
+            setTimeout(wrappedCallback, 1);
+        });
+    });
+
+    describe("#timePromise", function() {
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+        });
+
+        it("should throw if a name is omitted", function() {
+            expect(metrics.timePromise.bind(null, Promise.resolve())).to.throw(Error);
+        });
+
+        it("should throw if a promise is omitted", function() {
+            expect(metrics.timePromise.bind(null, "timer")).to.throw(Error);
+        });
+
+        it("should time the promise until it's resolved", function(done) {
+            metrics.timePromise("timer", Promise.resolve(42)).then(function(value) {
+                expect(value).to.equal(42);
+                expect(sent).to.have.length(1);
+                expect(sent[0]).to.match(/^timer:\d+\|h$/);
+            }).then(done, done);
+        });
+
+        it("should time the promise until it's rejected", function(done) {
+            var err = new Error("failed");
+
+            metrics.timePromise("timer", Promise.reject(err)).then(function() {
+                throw new Error("should have been rejected");
+            }, function(e) {
+                expect(e).to.equal(err);
+                expect(sent).to.have.length(1);
+                expect(sent[0]).to.match(/^timer:\d+\|h$/);
+            }).then(done, done);
+        });
+
+        it("should accept printf-style names", function(done) {
+            metrics.timePromise("timer.%s", "a", Promise.resolve()).then(function() {
+                expect(sent[0]).to.match(/^timer\.a:\d+\|h$/);
+            }).then(done, done);
+        });
+
+        it("should record successes separately when requested", function(done) {
+            metrics.timePromise("timer", Promise.resolve(), { separate: true }).then(function() {
+                expect(sent[0]).to.match(/^timer\.ok:\d+\|h$/);
+            }).then(done, done);
+        });
+
+        it("should record failures separately when requested", function(done) {
+            metrics.timePromise("timer", Promise.reject(new Error()), { separate: true }).catch(function() {
+                expect(sent[0]).to.match(/^timer\.error:\d+\|h$/);
+            }).then(done, done);
+        });
+
+        it("should count rejections when requested", function(done) {
+            metrics.timePromise("timer", Promise.reject(new Error()), { countRejections: true }).catch(function() {
+                expect(sent).to.have.length(2);
+                expect(sent[1]).to.equal("timer.rejected:1|c");
+            }).then(done, done);
+        });
+
+        it("should not count resolutions", function(done) {
+            metrics.timePromise("timer", Promise.resolve(), { countRejections: true }).then(function() {
+                expect(sent).to.have.length(1);
+            }).then(done, done);
+        });
+
+        it("should apply tags", function(done) {
+            metrics = metricsd({
+                protocol: "dogstatsd"
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            var options = {
+                tags: { route: "home" },
+                countRejections: true
+            };
+
+            metrics.timePromise("timer", Promise.reject(new Error()), options).catch(function() {
+                expect(sent[0]).to.match(/^timer:\d+\|h\|#route:home$/);
+                expect(sent[1]).to.equal("timer.rejected:1|c|#route:home");
+            }).then(done, done);
+        });
+    });
+
+    describe("#timeAsync", function() {
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+        });
+
+        it("should throw if a name is omitted", function() {
+            expect(metrics.timeAsync.bind(null, function() {})).to.throw(Error);
+        });
+
+        it("should throw if a function is omitted", function() {
+            expect(metrics.timeAsync.bind(null, "timer")).to.throw(Error);
+        });
+
+        it("should time the function until its promise settles", function(done) {
+            metrics.timeAsync("timer", function() {
+                return new Promise(function(resolve) {
+                    setTimeout(function() {
+                        resolve(42);
+                    }, 5);
+                });
+            }).then(function(value) {
+                expect(value).to.equal(42);
+                expect(sent).to.have.length(1);
+                expect(sent[0]).to.match(/^timer:\d+\|h$/);
+            }).then(done, done);
+        });
+
+        it("should record failures", function(done) {
+            metrics.timeAsync("timer", function() {
+                return Promise.reject(new Error());
+            }, { separate: true, countRejections: true }).catch(function() {
+                expect(sent[0]).to.match(/^timer\.error:\d+\|h$/);
+                expect(sent[1]).to.equal("timer.rejected:1|c");
+            }).then(done, done);
+        });
+
+        it("should record synchronous errors as failures", function() {
+            var err = new Error("failed");
+
+            expect(function() {
+                metrics.timeAsync("timer", function() {
+                    throw err;
+                }, { separate: true });
+            }).to.throw(err);
+
+            expect(sent[0]).to.match(/^timer\.error:\d+\|h$/);
+        });
+
+        it("should time functions that don't return promises", function() {
+            var value = metrics.timeAsync("timer", function() {
+                return 42;
+            });
+
+            expect(value).to.equal(42);
+            expect(sent[0]).to.match(/^timer:\d+\|h$/);
+        });
+    });
+
+    describe("#instrumentServer", function() {
+        var http = require("http");
+        var server;
+        var sent;
+
+        var get = function(path, callback) {
+            http.get({
+                port: server.address().port,
+                path: path
+            }, function(res) {
+                res.resume();
+                res.on("end", callback);
+            });
+        };
+
+        beforeEach(function(done) {
+            sent = [];
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            server = http.createServer(function(req, res) {
+                res.statusCode = req.url === "/missing" ? 404 : 200;
+                res.end("ok");
+            });
+
+            server.listen(0, done);
+        });
+
+        afterEach(function(done) {
+            server.close(done);
+
+            sent = undefined;
+        });
+
+        it("should record request metrics", function(done) {
+            metrics.instrumentServer(server);
+
+            get("/users/42", function() {
+                expect(sent).to.have.length(3);
+                expect(sent[0]).to.match(/^requests\.get\.users\.id:\d+\|h$/);
+                expect(sent[1]).to.equal("requests.get.users.id.2xx:1|c");
+                expect(sent[2]).to.equal("requests.get.users.id.requests");
+
+                done();
+            });
+        });
+
+        it("should accept middleware.Requests options", function(done) {
+            metrics.instrumentServer(server, {
+                prefix: "web"
+            });
+
+            get("/missing", function() {
+                expect(sent[1]).to.equal("web.get.missing.4xx:1|c");
+
+                done();
+            });
+        });
+
+        it("should emit errors rather than throwing them", function(done) {
+            var errors = [];
+
+            metrics = metricsd({
+                sanitize: "throw",
+                maxNameLength: 24
+            });
+
+            metrics.on("error", function(err) {
+                errors.push(err);
+            });
+
+            metrics.instrumentServer(server);
+
+            get("/some/long/path/here", function() {
+                expect(errors).to.have.length(1);
+                expect(errors[0].message).to.match(/invalid metric name/);
+
+                done();
+            });
+        });
+
+        it("should stop instrumenting when the returned function is called", function(done) {
+            var stop = metrics.instrumentServer(server);
+
+            stop();
+
+            get("/", function() {
+                expect(sent).to.be.empty;
+
+                done();
+            });
+        });
+    });
+
+    describe("events", function() {
+        var EventEmitter = require("events").EventEmitter;
+        var transport;
+
+        beforeEach(function() {
+            transport = new EventEmitter();
+
+            transport.write = function(lines) {};
+            transport.flush = function(callback) {
+                process.nextTick(callback);
+            };
+            transport.close = function(callback) {
+                process.nextTick(callback);
+            };
+
+            metrics = metricsd({
+                transport: transport
+            });
+        });
+
+        it("should be an EventEmitter", function() {
+            expect(metrics).to.be.an.instanceof(EventEmitter);
+        });
+
+        it("should emit transport errors", function(done) {
+            var err = new Error("failed");
+
+            metrics.on("error", function(e) {
+                expect(e).to.equal(err);
+
+                done();
+            });
+
+            transport.emit("error", err);
+        });
+
+        it("should log transport errors if nothing's listening", function() {
+            var logged = [];
+
+            metrics.logger = function() {
+                logged.push(Array.prototype.slice.call(arguments));
+            };
+
+            transport.emit("error", new Error("failed"));
+
+            expect(logged).to.eql([["metricsd: %s", "failed"]]);
+        });
+
+        it("should emit drops", function(done) {
+            metrics.on("drop", function(count) {
+                expect(count).to.equal(3);
+
+                done();
+            });
+
+            transport.emit("drop", 3);
+        });
+
+        it("should emit flush once flushed", function(done) {
+            metrics.on("flush", done);
+
+            metrics.flush();
+        });
+
+        it("should share events with scopes", function(done) {
+            var scope = metrics.scope("db");
+
+            expect(scope.on("drop", function(count) {
+                expect(count).to.equal(1);
+
+                done();
+            })).to.equal(scope);
+
+            transport.emit("drop", 1);
+        });
+    });
+
+    describe("#stats", function() {
+        var EventEmitter = require("events").EventEmitter;
+
+        it("should start with zeros", function() {
+            expect(metrics.stats()).to.eql({
+                sentLines: 0,
+                sentBytes: 0,
+                sendErrors: 0,
+                droppedLines: 0,
+                socketReopens: 0
+            });
+        });
+
+        it("should count sent lines and bytes", function() {
+            metrics = metricsd({
+                log: true,
+                logger: function() {}
+            });
+
+            metrics.inc("a");
+            metrics.inc("b", 10);
+
+            expect(metrics.stats().sentLines).to.equal(2);
+            expect(metrics.stats().sentBytes).to.equal("a:1|c\nb:10|c\n".length);
+        });
+
+        it("should count socket reopens", function() {
+            var transport = new EventEmitter();
+
+            transport.write = transport.flush = transport.close = function() {};
+
+            metrics = metricsd({
+                transport: transport
+            });
+
+            transport.emit("reopen");
+
+            expect(metrics.stats().socketReopens).to.equal(1);
+        });
+
+        it("should count errors and dropped lines", function() {
+            var transport = new EventEmitter();
+
+            transport.write = transport.flush = transport.close = function() {};
+
+            metrics = metricsd({
+                transport: transport,
+                logger: function() {}
+            });
+
+            transport.emit("error", new Error("failed"));
+            transport.emit("drop", 3);
+
+            expect(metrics.stats().sendErrors).to.equal(1);
+            expect(metrics.stats().droppedLines).to.equal(3);
+        });
+
+        it("should return a copy", function() {
+            metrics.stats().sentLines = 10;
+
+            expect(metrics.stats().sentLines).to.equal(0);
+        });
+
+        it("should be shared with scopes", function() {
+            metrics = metricsd({
+                log: true,
+                logger: function() {}
+            });
+
+            metrics.scope("db").inc("a");
+
+            expect(metrics.stats().sentLines).to.equal(1);
+            expect(metrics.scope("db").stats().sentLines).to.equal(1);
+        });
+    });
+
+    describe("#scope", function() {
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            prefixed._send = function(str) {
+                sent.push(str);
+            };
+        });
+
+        it("should require a name", function() {
+            expect(function() {
+                prefixed.scope();
+            }).to.throw(Error);
+        });
+
+        it("should add a segment to the prefix", function() {
+            expect(prefixed.scope("db").prefix).to.equal(prefix + ".db");
+        });
+
+        it("should add a segment when no prefix was provided", function() {
+            expect(metrics.scope("db").prefix).to.equal("db");
+        });
+
+        it("should accept printf-style names", function() {
+            expect(prefixed.scope("shard.%d", 3).prefix).to.equal(prefix + ".shard.3");
+        });
+
+        it("may be nested", function() {
+            expect(prefixed.scope("db").scope("pool").prefix).to.equal(prefix + ".db.pool");
+        });
+
+        it("should write using the parent", function() {
+            var scope = prefixed.scope("db").scope("pool");
+
+            scope.inc("acquired");
+            scope.count("created").inc();
+            scope.updateGauge("size", 4);
+            scope.time("checkout").stop();
+
+            expect(sent[0]).to.equal(prefix + ".db.pool.acquired:1|c");
+            expect(sent[1]).to.equal(prefix + ".db.pool.created:1|c");
+            expect(sent[2]).to.equal(prefix + ".db.pool.size:4|g");
+            expect(sent[3]).to.match(new RegExp("^" + prefix + "\\.db\\.pool\\.checkout:\\d+\\|h$"));
+        });
+
+        it("should inherit options", function() {
+            var parent = metricsd({
+                protocol: "dogstatsd",
+                tags: { env: "test" },
+                sampleRate: 0.5
+            });
+
+            var scope = parent.scope("db");
+
+            expect(scope.protocol).to.equal("dogstatsd");
+            expect(scope.tags).to.eql({ env: "test" });
+            expect(scope.sampleRate).to.equal(0.5);
+        });
+
+        it("should share the enabled flag", function() {
+            var scope = prefixed.scope("db");
+
+            prefixed.enabled = false;
+
+            expect(scope.enabled).to.be.false;
+
+            scope.inc("queries");
+
+            scope.enabled = true;
+
+            expect(prefixed.enabled).to.be.true;
+            expect(sent).to.be.empty;
+        });
+
+        it("should share the log flag and logger", function() {
+            var logged = [];
+            var parent = metricsd({
+                prefix: prefix
+            });
+            var scope = parent.scope("db");
+
+            scope.logger = function() {
+                logged.push(util.format.apply(null, arguments));
+            };
+
+            scope.log = true;
+
+            expect(parent.log).to.be.true;
+            expect(parent.logger).to.equal(scope.logger);
+
+            scope.inc("queries");
+
+            expect(logged).to.eql(["metric=" + prefix + ".db.queries:1|c"]);
+        });
+
+        it("should not close the parent", function(done) {
+            var transport = {
+                closed: false,
+                write: function(lines) {},
+                flush: function(callback) {
+                    process.nextTick(callback);
+                },
+                close: function(callback) {
+                    this.closed = true;
+                    process.nextTick(callback);
+                }
+            };
+
+            var parent = metricsd({
+                transport: transport
+            });
+
+            parent.scope("db").close(function() {
+                expect(transport.closed).to.be.false;
+
+                done();
+            });
+        });
+
+        describe("with aggregation", function() {
+            var transport;
+            var parent;
+
+            beforeEach(function() {
+                transport = {
+                    lines: [],
+                    closed: false,
+                    write: function(lines) {
+                        expect(this.closed).to.be.false;
+
+                        this.lines.push.apply(this.lines, lines);
+                    },
+                    flush: function(callback) {
+                        process.nextTick(callback);
+                    },
+                    close: function(callback) {
+                        this.closed = true;
+                        process.nextTick(callback);
+                    }
+                };
+
+                parent = metricsd({
+                    transport: transport,
+                    aggregate: true
+                });
+            });
+
+            it("should flush scopes when the parent is flushed", function(done) {
+                parent.scope("db").inc("queries", 5);
+
+                parent.flush(function() {
+                    expect(transport.lines).to.eql(["db.queries:5|c"]);
+
+                    done();
+                });
+            });
+
+            it("should flush scopes when the parent is closed", function(done) {
+                parent.scope("db").inc("queries", 5);
+
+                parent.close(function() {
+                    expect(transport.lines).to.eql(["db.queries:5|c"]);
+
+                    done();
+                });
+            });
+
+            it("should flush nested scopes first", function(done) {
+                var db = parent.scope("db");
+
+                db.scope("pool").updateGauge("size", 4);
+                db.inc("queries");
+                parent.inc("requests");
+
+                parent.close(function() {
+                    expect(transport.lines).to.eql([
+                        "db.pool.size:4|g",
+                        "db.queries:1|c",
+                        "requests:1|c"
+                    ]);
+
+                    done();
+                });
+            });
+
+            it("should forget scopes once they've been closed", function(done) {
+                var db = parent.scope("db");
+
+                db.close(function() {
+                    db.inc("queries");
+
+                    parent.flush(function() {
+                        expect(transport.lines).to.be.empty;
+
+                        db.close(done);
+                    });
+                });
+            });
+
+            it("should only be retained while holding aggregates", function(done) {
+                var registered = 0;
+
+                // this is how #scope creates scopes
+                var scope = metricsd({
+                    aggregate: true,
+                    aggregateInterval: 10
+                }, parent, function() {
+                    registered++;
+
+                    return function() {
+                        registered--;
+                    };
+                });
+
+                scope.inc("queries");
+
+                expect(registered).to.equal(1);
+
+                setTimeout(function() {
+                    expect(transport.lines).to.eql(["queries:1|c"]);
+                    expect(registered).to.equal(0);
+
+                    done();
+                }, 50);
+            });
+        });
+
+        it("should not retain throwaway scopes", function() {
+            var registered = 0;
+
+            // this is how #scope creates scopes
+            var scope = metricsd({}, prefixed, function() {
+                registered++;
+
+                return function() {
+                    registered--;
+                };
+            });
+
+            scope.inc("queries");
+            scope.updateHistogram("latency", 10);
+            scope.scope("pool").inc("acquired");
+
+            expect(sent).to.have.length(3);
+            expect(registered).to.equal(0);
+        });
+    });
+
+    describe("with a prefix", function() {
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            prefixed._send = function(str) {
+                sent.push(str);
+            };
+        });
+
+        it("should only prefix metric objects once", function() {
+            prefixed.count("a").inc();
+            prefixed.gauge("b").update(1);
+            prefixed.histogram("c").update(1);
+            prefixed.meter("d").mark();
+            prefixed.time("e").stop();
+
+            expect(sent.slice(0, 4)).to.eql([
+                prefix + ".a:1|c",
+                prefix + ".b:1|g",
+                prefix + ".c:1|h",
+                prefix + ".d"
+            ]);
+            expect(sent[4]).to.match(new RegExp("^" + prefix + "\\.e:\\d+\\|h$"));
+        });
+
+        it("should not prefix the names of metric objects", function() {
+            expect(prefixed.count("a").name).to.equal("a");
+        });
+    });
+
+    describe("#close", function() {
+        it("should release internal resources");
+
+        it("should call back if nothing was opened", function(done) {
+            metrics.close(done);
+        });
+
+        it("should stop polling gauges", function(done) {
+            var calls = 0;
+
+            metrics.registerGauge("pool.size", function() {
+                calls++;
+            }, 10);
+
+            metrics.close(function() {
+                setTimeout(function() {
+                    expect(calls).to.equal(0);
+
+                    done();
+                }, 25);
+            });
+        });
+    });
+
+    describe("#write", function() {
+        describe("in network mode", function() {
+            var port = 1234;
+            var sink;
+
+            beforeEach(function(done) {
+                metrics = metricsd({
+                    port: port
+                });
+
+                sink = require("dgram").createSocket("udp4");
+
+                sink.once("listening", done);
+
+                sink.bind(port);
+            });
+
+            afterEach(function(done) {
+                sink.once("close", done);
+
+                sink.close();
+            });
+
+            it("should write a metricsd string to the network", function(done) {
+                var metric = "prefix.metric.name:1234|g\n";
+
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal(metric);
+
+                    done();
+                });
+
+                metrics.write(metric);
+            });
+
+            it("should write newline-terminated strings", function(done) {
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.match(/\n$/);
+
+                    done();
+                });
+
+                metrics.write("event");
+            });
+
+            it("should not write metrics when disabled", function(done) {
+                metrics.enabled = false;
+
+                sink.on("message", function(msg, rinfo) {
+                    throw new Error("should not have been called");
+                });
+
+                metrics.write("event");
+
+                // give the message time to be sent (if it was indeed sent)
+                setTimeout(done, 10);
+            });
+        });
+
+        describe("in batch mode", function() {
+            var port = 1235;
+            var sink;
+
+            beforeEach(function(done) {
+                metrics = metricsd({
+                    port: port,
+                    batch: true,
+                    maxPacketSize: 32,
+                    flushInterval: 10
+                });
+
+                sink = require("dgram").createSocket("udp4");
+
+                sink.once("listening", done);
+
+                sink.bind(port);
+            });
+
+            afterEach(function(done) {
+                metrics.close();
+
+                sink.once("close", done);
+
+                sink.close();
+            });
+
+            it("should combine metrics into a single packet", function(done) {
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("a:1|c\nb:2|g\n");
+
+                    done();
+                });
+
+                metrics.write("a:1|c");
+                metrics.write("b:2|g");
+            });
+
+            it("should flush before exceeding the maximum packet size", function(done) {
+                var messages = [];
+
+                sink.on("message", function(msg, rinfo) {
+                    messages.push(msg.toString());
+
+                    if (messages.length === 2) {
+                        expect(messages).to.include("first.metric.name:1|c\n");
+                        expect(messages).to.include("second.metric.name:2|c\n");
+
+                        done();
+                    }
+                });
+
+                metrics.write("first.metric.name:1|c");
+                metrics.write("second.metric.name:2|c");
+            });
+
+            it("should send oversized metrics on their own", function(done) {
+                var metric = "a.metric.name.that.is.too.long:1|c\n";
+
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal(metric);
+
+                    done();
+                });
+
+                metrics.write(metric);
+            });
+
+            it("should flush when closed", function(done) {
+                metrics = metricsd({
+                    port: port,
+                    batch: true,
+                    flushInterval: 60000
+                });
+
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("event\n");
+
+                    done();
+                });
+
+                metrics.write("event");
+                metrics.close();
+            });
+        });
+
+        describe("in tcp mode", function() {
+            var port = 1236;
+            var server;
 
-                    done();
+            beforeEach(function(done) {
+                metrics = metricsd({
+                    port: port,
+                    transport: "tcp"
                 });
 
-                metrics.write(metric);
+                server = require("net").createServer();
+
+                server.listen(port, done);
             });
 
-            it("should write newline-terminated strings", function(done) {
-                sink.once("message", function(msg, rinfo) {
-                    expect(msg.toString()).to.match(/\n$/);
+            afterEach(function(done) {
+                metrics.close();
 
+                server.close(function() {
                     done();
                 });
-
-                metrics.write("event");
             });
 
-            it("should not write metrics when disabled", function(done) {
-                metrics.enabled = false;
+            it("should write newline-terminated metricsd strings to the network", function(done) {
+                server.once("connection", function(socket) {
+                    socket.setEncoding("utf8");
 
-                sink.on("message", function(msg, rinfo) {
-                    throw new Error("should not have been called");
-                });
+                    var data = "";
 
-                metrics.write("event");
+                    socket.on("data", function(chunk) {
+                        data += chunk;
 
-                // give the message time to be sent (if it was indeed sent)
-                setTimeout(done, 10);
+                        if (data === "a:1|c\nb:2|g\n") {
+                            done();
+                        }
+                    });
+                });
+
+                metrics.write("a:1|c");
+                metrics.write("b:2|g");
             });
         });
 
@@ -546,6 +2771,68 @@ describe("metrics", function() {
 
             prefixed.updateCounter(name, value);
         });
+
+        it("should append the sample rate when sampled", function(done) {
+            var name = "sampled";
+
+            Math.random = function() {
+                return 0.05;
+            };
+
+            metrics._send = function(str) {
+                expect(str).to.equal(name + ":1|c|@0.1");
+
+                done();
+            };
+
+            metrics.updateCounter(name, 1, 0.1);
+        });
+
+        it("should drop values that weren't sampled", function(done) {
+            Math.random = function() {
+                return 0.5;
+            };
+
+            metrics._send = function(str) {
+                throw new Error("should not have been called");
+            };
+
+            metrics.updateCounter("dropped", 1, 0.1);
+
+            setTimeout(done, 10);
+        });
+
+        it("should use the default sample rate if one wasn't provided", function(done) {
+            var name = "sampledByDefault";
+
+            metrics = metricsd({ sampleRate: 0.5 });
+
+            Math.random = function() {
+                return 0.25;
+            };
+
+            metrics._send = function(str) {
+                expect(str).to.equal(name + ":3|c|@0.5");
+
+                done();
+            };
+
+            metrics.updateCounter(name, 3);
+        });
+
+        it("should support formatted names", function(done) {
+            Math.random = function() {
+                return 0;
+            };
+
+            metrics._send = function(str) {
+                expect(str).to.equal("requests.home:1|c|@0.5");
+
+                done();
+            };
+
+            metrics.updateCounter("requests.%s", "home", 1, 0.5);
+        });
     });
 
     describe("#updateGauge", function() {
@@ -600,132 +2887,419 @@ describe("metrics", function() {
                 done();
             };
 
-            prefixed.updateHistogram(name, value);
-        });
-    });
+            prefixed.updateHistogram(name, value);
+        });
+
+        it("should append the sample rate when sampled", function(done) {
+            var name = "sampledHistogram";
+
+            Math.random = function() {
+                return 0.05;
+            };
+
+            metrics._send = function(str) {
+                expect(str).to.equal(name + ":12|h|@0.1");
+
+                done();
+            };
+
+            metrics.updateHistogram(name, 12, 0.1);
+        });
+    });
+
+    describe(".Counter", function() {
+        var counter;
+        var name;
+
+        beforeEach(function() {
+            name = "Lily";
+            counter = new metrics.Counter(name);
+        });
+
+        afterEach(function() {
+            counter = undefined;
+            name = undefined;
+        });
+
+        it("should have a name", function() {
+            expect(counter.name).to.equal(name);
+        });
+
+        it("should throw an error if a name was omitted", function() {
+            var factory = function() {
+                return new metrics.Counter();
+            };
+
+            expect(factory).to.throw(Error);
+        });
+
+        describe("#inc", function() {
+            it("should increment the named counter", function(done) {
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":1|c");
+
+                    done();
+                };
+
+                counter.inc();
+            });
+
+            it("should increment the named counter by the specified value", function(done) {
+                var value = 12;
+
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":" + value + "|c");
+
+                    done();
+                };
+
+                counter.inc(value);
+            });
+        });
+
+        describe("#dec", function() {
+            it("should decrement the named counter", function(done) {
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":-1|c");
+
+                    done();
+                };
+
+                counter.dec();
+            });
+
+            it("should decrement the named counter by the specified value", function(done) {
+                var value = 57;
+
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":-" + value + "|c");
+
+                    done();
+                };
+
+                counter.dec(57);
+            });
+        });
+
+        describe(".sampleRate", function() {
+            it("should override the default sample rate", function(done) {
+                counter = new metrics.Counter(name, { sampleRate: 0.25 });
+
+                Math.random = function() {
+                    return 0.1;
+                };
+
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":1|c|@0.25");
+
+                    done();
+                };
+
+                counter.inc();
+            });
+        });
+
+        describe("#delete", function() {
+            it("should delete the named counter", function(done) {
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":delete|c");
+
+                    done();
+                };
+
+                counter.delete();
+            });
+        });
+    });
+
+    describe(".Gauge", function() {
+        var gauge;
+        var name;
+
+        beforeEach(function() {
+            name = "Mikhail";
+            gauge = new metrics.Gauge(name);
+        });
+
+        afterEach(function() {
+            gauge = undefined;
+            name = undefined;
+        });
+
+        it("should have a name", function() {
+            expect(gauge.name).to.equal(name);
+        });
+
+        it("should throw an error if a name was omitted", function() {
+            var factory = function() {
+                return new metrics.Gauge();
+            };
+
+            expect(factory).to.throw(Error);
+        });
+
+        describe("#delete", function() {
+            it("should delete the named gauge", function(done) {
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":delete|g");
+
+                    done();
+                };
+
+                gauge.delete();
+            });
+        });
+
+        describe("#poll", function() {
+            it("should update the gauge with the function's result", function(done) {
+                gauge = new metrics.Gauge(name, function() {
+                    return 7;
+                });
+
+                metrics._send = function(str) {
+                    metrics._send = function() {};
+                    gauge.unregister();
+
+                    expect(str).to.equal(name + ":7|g");
+
+                    done();
+                };
+
+                gauge.poll();
+            });
+
+            it("should update the gauge when a returned promise resolves", function(done) {
+                gauge = new metrics.Gauge(name, function() {
+                    return Promise.resolve(8);
+                });
+
+                metrics._send = function(str) {
+                    metrics._send = function() {};
+                    gauge.unregister();
+
+                    expect(str).to.equal(name + ":8|g");
+
+                    done();
+                };
+
+                gauge.poll();
+            });
+
+            it("should skip undefined values", function(done) {
+                gauge = new metrics.Gauge(name, function() {});
+
+                metrics._send = function(str) {
+                    done(new Error("unexpected metric: " + str));
+                };
+
+                gauge.poll();
+
+                setTimeout(done, 10);
+            });
+
+            it("should not poll again until a returned promise settles", function() {
+                var calls = 0;
+
+                gauge = new metrics.Gauge(name, function() {
+                    calls++;
+
+                    return new Promise(function() {});
+                });
+
+                gauge.poll();
+                gauge.poll();
+
+                expect(calls).to.equal(1);
+            });
+
+            it("should emit an error when the function throws", function(done) {
+                var err = new Error("pool unavailable");
+
+                gauge = new metrics.Gauge(name, function() {
+                    throw err;
+                });
+
+                metrics._send = function(str) {
+                    done(new Error("unexpected metric: " + str));
+                };
+
+                metrics.once("error", function(e) {
+                    expect(e).to.equal(err);
+
+                    done();
+                });
+
+                expect(function() {
+                    gauge.poll();
+                }).not.to.throw();
+            });
 
-    describe(".Counter", function() {
-        var counter;
-        var name;
+            it("should emit an error when a returned promise rejects", function(done) {
+                var err = new Error("pool unavailable");
 
-        beforeEach(function() {
-            name = "Lily";
-            counter = new metrics.Counter(name);
-        });
+                gauge = new metrics.Gauge(name, function() {
+                    return Promise.reject(err);
+                });
 
-        afterEach(function() {
-            counter = undefined;
-            name = undefined;
-        });
+                metrics.once("error", function(e) {
+                    expect(e).to.equal(err);
 
-        it("should have a name", function() {
-            expect(counter.name).to.equal(name);
-        });
+                    done();
+                });
 
-        it("should throw an error if a name was omitted", function() {
-            var factory = function() {
-                return new metrics.Counter();
-            };
+                gauge.poll();
+            });
 
-            expect(factory).to.throw(Error);
-        });
+            it("should wrap thrown values that aren't errors", function(done) {
+                gauge = new metrics.Gauge(name, function() {
+                    throw "pool unavailable";
+                });
 
-        describe("#inc", function() {
-            it("should increment the named counter", function(done) {
-                metrics._send = function(str) {
-                    expect(str).to.equal(name + ":1|c");
+                metrics.once("error", function(e) {
+                    expect(e).to.be.an.instanceof(Error);
+                    expect(e.message).to.equal("pool unavailable");
 
                     done();
-                };
+                });
 
-                counter.inc();
+                gauge.poll();
             });
 
-            it("should increment the named counter by the specified value", function(done) {
-                var value = 12;
+            it("should wrap null when thrown", function(done) {
+                gauge = new metrics.Gauge(name, function() {
+                    throw null;
+                });
 
-                metrics._send = function(str) {
-                    expect(str).to.equal(name + ":" + value + "|c");
+                metrics.once("error", function(e) {
+                    expect(e).to.be.an.instanceof(Error);
+                    expect(e.message).to.equal("null");
 
                     done();
-                };
+                });
 
-                counter.inc(value);
+                expect(function() {
+                    gauge.poll();
+                }).not.to.throw();
             });
-        });
 
-        describe("#dec", function() {
-            it("should decrement the named counter", function(done) {
-                metrics._send = function(str) {
-                    expect(str).to.equal(name + ":-1|c");
+            it("should wrap rejection reasons that aren't errors", function(done) {
+                gauge = new metrics.Gauge(name, function() {
+                    return Promise.reject("pool unavailable");
+                });
+
+                metrics.once("error", function(e) {
+                    expect(e).to.be.an.instanceof(Error);
+                    expect(e.message).to.equal("pool unavailable");
 
                     done();
-                };
+                });
 
-                counter.dec();
+                gauge.poll();
             });
 
-            it("should decrement the named counter by the specified value", function(done) {
-                var value = 57;
+            it("should emit an error when updating fails", function(done) {
+                metrics = metricsd({
+                    prefix: "service",
+                    sanitize: "throw",
+                    maxNameLength: 16
+                });
 
-                metrics._send = function(str) {
-                    expect(str).to.equal(name + ":-" + value + "|c");
+                gauge = new metrics.Gauge("queue.depth", function() {
+                    return 3;
+                });
+
+                metrics.once("error", function(e) {
+                    expect(e.message).to.match(/invalid metric name/);
 
                     done();
-                };
+                });
 
-                counter.dec(57);
+                expect(function() {
+                    gauge.poll();
+                }).not.to.throw();
             });
-        });
 
-        describe("#delete", function() {
-            it("should delete the named counter", function(done) {
-                metrics._send = function(str) {
-                    expect(str).to.equal(name + ":delete|c");
+            it("should emit an error when updating with a resolved value fails", function(done) {
+                metrics = metricsd({
+                    prefix: "service",
+                    sanitize: "throw",
+                    maxNameLength: 16
+                });
+
+                gauge = new metrics.Gauge("queue.depth", function() {
+                    return Promise.resolve(3);
+                });
+
+                metrics.once("error", function(e) {
+                    expect(e.message).to.match(/invalid metric name/);
 
                     done();
-                };
+                });
 
-                counter.delete();
+                gauge.poll();
             });
-        });
-    });
 
-    describe(".Gauge", function() {
-        var gauge;
-        var name;
+            it("should log errors when nothing is listening for them", function(done) {
+                metrics = metricsd({
+                    logger: function() {
+                        expect(util.format.apply(null, arguments)).to.equal("metricsd: pool unavailable");
 
-        beforeEach(function() {
-            name = "Mikhail";
-            gauge = new metrics.Gauge(name);
-        });
+                        done();
+                    }
+                });
 
-        afterEach(function() {
-            gauge = undefined;
-            name = undefined;
-        });
+                gauge = new metrics.Gauge(name, function() {
+                    throw new Error("pool unavailable");
+                });
 
-        it("should have a name", function() {
-            expect(gauge.name).to.equal(name);
-        });
+                gauge.poll();
+            });
 
-        it("should throw an error if a name was omitted", function() {
-            var factory = function() {
-                return new metrics.Gauge();
-            };
+            it("should keep polling after an error", function(done) {
+                var calls = 0;
 
-            expect(factory).to.throw(Error);
-        });
+                metrics.on("error", function() {});
+
+                gauge = new metrics.Gauge(name, function() {
+                    if (++calls === 1) {
+                        throw new Error("pool unavailable");
+                    }
+
+                    return calls;
+                }, { interval: 10 });
 
-        describe("#delete", function() {
-            it("should delete the named gauge", function(done) {
                 metrics._send = function(str) {
-                    expect(str).to.equal(name + ":delete|g");
+                    metrics._send = function() {};
+                    gauge.unregister();
+
+                    expect(str).to.equal(name + ":2|g");
 
                     done();
                 };
+            });
+        });
 
-                gauge.delete();
+        describe("#unregister", function() {
+            it("should stop polling and delete the gauge", function(done) {
+                var calls = 0;
+
+                gauge = new metrics.Gauge(name, function() {
+                    calls++;
+
+                    return 1;
+                }, { interval: 10 });
+
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":delete|g");
+                };
+
+                gauge.unregister();
+
+                setTimeout(function() {
+                    expect(calls).to.equal(0);
+
+                    done();
+                }, 25);
             });
         });
 
@@ -796,6 +3370,24 @@ describe("metrics", function() {
                 histogram.update(value);
             });
         });
+
+        describe(".sampleRate", function() {
+            it("should override the default sample rate", function(done) {
+                histogram = new metrics.Histogram(name, { sampleRate: 0.25 });
+
+                Math.random = function() {
+                    return 0.1;
+                };
+
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":4|h|@0.25");
+
+                    done();
+                };
+
+                histogram.update(4);
+            });
+        });
     });
 
     describe(".Meter", function() {
@@ -846,6 +3438,210 @@ describe("metrics", function() {
 
                 meter.mark();
             });
+
+            it("should mark multiple occurrences", function(done) {
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":3|m");
+
+                    done();
+                };
+
+                meter.mark(3);
+            });
+
+            it("should accept tags", function(done) {
+                metrics = metricsd({
+                    protocol: "dogstatsd"
+                });
+
+                metrics._send = function(str) {
+                    expect(str).to.equal(name + ":2|c|#route:home");
+
+                    done();
+                };
+
+                metrics.meter(name).mark(2, { route: "home" });
+            });
+        });
+
+        it("should not track rates by default", function() {
+            meter.mark();
+
+            expect(meter.count).to.equal(undefined);
+            expect(meter.oneMinuteRate).to.equal(undefined);
+        });
+
+        describe("when local", function() {
+            var now = Date.now;
+            var time;
+
+            beforeEach(function() {
+                time = now();
+
+                Date.now = function() {
+                    return time;
+                };
+
+                metrics._send = function(str) {};
+
+                meter = metrics.meter(name, { local: true });
+            });
+
+            afterEach(function() {
+                Date.now = now;
+            });
+
+            it("should count marks", function() {
+                meter.mark();
+                meter.mark(4);
+
+                expect(meter.count).to.equal(5);
+            });
+
+            it("should calculate the mean rate", function() {
+                meter.mark(10);
+
+                time += 2000;
+
+                expect(meter.meanRate).to.equal(5);
+            });
+
+            it("should calculate moving average rates", function() {
+                meter.mark(10);
+
+                expect(meter.oneMinuteRate).to.equal(0);
+
+                time += 5000;
+
+                expect(meter.oneMinuteRate).to.equal(2);
+                expect(meter.fiveMinuteRate).to.equal(2);
+                expect(meter.fifteenMinuteRate).to.equal(2);
+            });
+
+            it("should decay moving average rates", function() {
+                meter.mark(10);
+
+                time += 5000;
+
+                meter.oneMinuteRate;
+
+                time += 60000;
+
+                expect(meter.oneMinuteRate).to.be.closeTo(2 * Math.exp(-1), 0.01);
+                expect(meter.fiveMinuteRate).to.be.closeTo(2 * Math.exp(-0.2), 0.01);
+                expect(meter.fifteenMinuteRate).to.be.above(meter.fiveMinuteRate);
+            });
+
+            it("should still write marks", function(done) {
+                metrics._send = function(str) {
+                    expect(str).to.equal(name);
+
+                    done();
+                };
+
+                meter.mark();
+            });
+        });
+
+        describe("when reporting", function() {
+            var sent;
+
+            beforeEach(function() {
+                sent = [];
+
+                metrics = metricsd({
+                    reportInterval: 10
+                });
+
+                metrics._send = function(str) {
+                    sent.push(str);
+                };
+
+                meter = metrics.meter(name, { report: true });
+            });
+
+            afterEach(function() {
+                metrics.close();
+            });
+
+            it("should track rates", function() {
+                expect(meter.local).to.be.true;
+            });
+
+            it("should write its count and rates as gauges", function() {
+                meter.mark(2);
+
+                sent = [];
+
+                metrics.flush();
+
+                expect(sent).to.have.length(5);
+                expect(sent[0]).to.equal(name + ".count:2|g");
+                expect(sent[1]).to.match(new RegExp("^" + name + "\\.mean_rate:[\\d.e+]+\\|g$"));
+                expect(sent[2]).to.equal(name + ".m1_rate:0|g");
+                expect(sent[3]).to.equal(name + ".m5_rate:0|g");
+                expect(sent[4]).to.equal(name + ".m15_rate:0|g");
+            });
+
+            it("should report periodically", function(done) {
+                setTimeout(function() {
+                    expect(sent).to.include(name + ".count:0|g");
+
+                    done();
+                }, 30);
+            });
+
+            it("should stop reporting once deleted", function() {
+                meter.delete();
+
+                sent = [];
+
+                metrics.flush();
+
+                expect(sent).to.be.empty;
+            });
+
+            it("should write aggregated rates before closing the transport", function(done) {
+                var EventEmitter = require("events").EventEmitter;
+                var transport = new EventEmitter();
+                var closed = false;
+
+                transport.write = function(lines) {
+                    expect(closed).to.be.false;
+
+                    sent.push.apply(sent, lines);
+                };
+                transport.flush = function(callback) {
+                    process.nextTick(callback);
+                };
+                transport.close = function(callback) {
+                    closed = true;
+
+                    process.nextTick(callback);
+                };
+
+                metrics = metricsd({
+                    transport: transport,
+                    aggregate: true,
+                    reportInterval: 10
+                });
+
+                meter = metrics.meter(name, { report: true });
+                meter.mark();
+
+                metrics.close(function() {
+                    expect(sent).to.include(name + ".count:1|g");
+                    expect(sent).to.include(name + ".m1_rate:0|g");
+
+                    // nothing should be written once closed
+                    setTimeout(function() {
+                        // (this one has been closed)
+                        metrics = metricsd();
+
+                        done();
+                    }, 30);
+                });
+            });
         });
     });
 
@@ -1070,6 +3866,22 @@ describe("metrics", function() {
                 timer.stop();
             });
 
+            it("should use the timer's sample rate", function(done) {
+                timer = metrics.time(name, { sampleRate: 0.5 });
+
+                Math.random = function() {
+                    return 0.1;
+                };
+
+                metrics._send = function(str) {
+                    expect(str).to.match(new RegExp(name + ":.\\|h\\|@0\\.5"));
+
+                    done();
+                };
+
+                timer.stop();
+            });
+
             it("should return the elapsed time", function(done) {
                 setTimeout(function() {
                     expect(timer.stop()).to.be.above(0);
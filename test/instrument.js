@@ -0,0 +1,213 @@
+"use strict";
+
+var metricsd = require("../lib/metricsd"),
+    expect = require("chai").expect;
+
+describe("metrics.instrument", function() {
+    var metrics;
+    var sent;
+    var service;
+    var restore;
+
+    beforeEach(function() {
+        sent = [];
+
+        metrics = metricsd();
+
+        metrics._send = function(str) {
+            sent.push(str);
+        };
+
+        service = {
+            add: function(a, b) {
+                return a + b;
+            },
+            fail: function() {
+                throw new Error("failed");
+            },
+            fetch: function(id, callback) {
+                var self = this;
+
+                setTimeout(function() {
+                    if (id) {
+                        return callback(null, self.prefix + id);
+                    }
+
+                    callback(new Error("not found"));
+                }, 1);
+            },
+            load: function(id) {
+                return id ? Promise.resolve(id) : Promise.reject(new Error("not found"));
+            },
+            prefix: "id:"
+        };
+    });
+
+    afterEach(function() {
+        restore && restore();
+
+        restore = undefined;
+        metrics = undefined;
+        sent = undefined;
+        service = undefined;
+    });
+
+    it("should throw if a method doesn't exist", function() {
+        expect(function() {
+            metrics.instrument(service, ["missing"]);
+        }).to.throw(Error);
+    });
+
+    it("should accept a single method name", function() {
+        restore = metrics.instrument(service, "add");
+
+        service.add(1, 2);
+
+        expect(sent[0]).to.equal("add.calls:1|c");
+    });
+
+    describe("synchronous methods", function() {
+        beforeEach(function() {
+            restore = metrics.instrument(service, ["add", "fail"], { prefix: "service" });
+        });
+
+        it("should return the result", function() {
+            expect(service.add(1, 2)).to.equal(3);
+        });
+
+        it("should count and time calls", function() {
+            service.add(1, 2);
+
+            expect(sent).to.have.length(2);
+            expect(sent[0]).to.equal("service.add.calls:1|c");
+            expect(sent[1]).to.match(/^service\.add:\d+\|h$/);
+        });
+
+        it("should count errors", function() {
+            expect(service.fail).to.throw("failed");
+
+            expect(sent).to.have.length(3);
+            expect(sent[0]).to.equal("service.fail.calls:1|c");
+            expect(sent[1]).to.match(/^service\.fail:\d+\|h$/);
+            expect(sent[2]).to.equal("service.fail.errors:1|c");
+        });
+    });
+
+    describe("callback-last methods", function() {
+        beforeEach(function() {
+            restore = metrics.instrument(service, ["fetch"], { prefix: "service" });
+        });
+
+        it("should time calls until the callback fires", function(done) {
+            service.fetch(1, function(err, value) {
+                expect(value).to.equal("id:1");
+                expect(sent).to.have.length(2);
+                expect(sent[1]).to.match(/^service\.fetch:\d+\|h$/);
+
+                done();
+            });
+
+            expect(sent).to.have.length(1);
+        });
+
+        it("should count errors passed to the callback", function(done) {
+            service.fetch(null, function(err) {
+                expect(err.message).to.equal("not found");
+                expect(sent[2]).to.equal("service.fetch.errors:1|c");
+
+                done();
+            });
+        });
+    });
+
+    describe("promise-returning methods", function() {
+        beforeEach(function() {
+            restore = metrics.instrument(service, ["load"], { prefix: "service" });
+        });
+
+        it("should time calls until the promise settles", function(done) {
+            service.load(1).then(function(value) {
+                expect(value).to.equal(1);
+                expect(sent).to.have.length(2);
+                expect(sent[1]).to.match(/^service\.load:\d+\|h$/);
+            }).then(done, done);
+        });
+
+        it("should count rejections", function(done) {
+            service.load(null).then(function() {
+                throw new Error("should have been rejected");
+            }, function(err) {
+                expect(err.message).to.equal("not found");
+                expect(sent[2]).to.equal("service.load.errors:1|c");
+            }).then(done, done);
+        });
+    });
+
+    describe("classes", function() {
+        var Service = function() {};
+
+        Service.prototype.add = function(a, b) {
+            return a + b;
+        };
+
+        Service.create = function() {
+            return new Service();
+        };
+
+        it("should instrument prototype methods", function() {
+            restore = metrics.instrument(Service, ["add"]);
+
+            expect(new Service().add(1, 2)).to.equal(3);
+            expect(sent[0]).to.equal("add.calls:1|c");
+        });
+
+        it("should instrument static methods", function() {
+            restore = metrics.instrument(Service, ["create"]);
+
+            expect(Service.create()).to.be.an.instanceof(Service);
+            expect(sent[0]).to.equal("create.calls:1|c");
+        });
+    });
+
+    describe("restore", function() {
+        it("should restore the original methods", function() {
+            var add = service.add;
+
+            metrics.instrument(service, ["add"])();
+
+            expect(service.add).to.equal(add);
+        });
+
+        it("should restore inherited methods", function() {
+            var Service = function() {};
+
+            Service.prototype.add = function(a, b) {
+                return a + b;
+            };
+
+            var instance = new Service();
+
+            metrics.instrument(instance, ["add"])();
+
+            expect(instance.hasOwnProperty("add")).to.be.false;
+            expect(instance.add).to.equal(Service.prototype.add);
+        });
+    });
+
+    it("should apply tags", function() {
+        metrics = metricsd({
+            protocol: "dogstatsd"
+        });
+
+        metrics._send = function(str) {
+            sent.push(str);
+        };
+
+        restore = metrics.instrument(service, ["add"], { tags: { service: "math" } });
+
+        service.add(1, 2);
+
+        expect(sent[0]).to.equal("add.calls:1|c|#service:math");
+        expect(sent[1]).to.match(/^add:\d+\|h\|#service:math$/);
+    });
+});
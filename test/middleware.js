@@ -116,6 +116,643 @@ describe("metrics.middleware", function() {
         });
     });
 
+    describe(".Requests", function() {
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            req.method = "GET";
+            req.url = "/users/42?expand=true";
+            res.statusCode = 200;
+        });
+
+        afterEach(function() {
+            sent = undefined;
+        });
+
+        it("should return Express-compatible middleware", function(done) {
+            var fn = metrics.middleware.Requests();
+
+            fn(req, res, done);
+        });
+
+        it("should use the request timer", function(done) {
+            var fn = metrics.middleware.Requests();
+
+            fn(req, res, function() {
+                expect(req.timer).to.be.an.instanceof(metrics.Timer);
+
+                done();
+            });
+        });
+
+        it("should record latency, status class and a meter when the response finishes", function() {
+            var fn = metrics.middleware.Requests();
+
+            fn(req, res, next);
+
+            req.route = {
+                path: "/users/:id"
+            };
+
+            expect(sent).to.be.empty;
+
+            res.emit("finish");
+
+            expect(sent).to.have.length(3);
+            expect(sent[0]).to.match(/^requests\.get\.users\.id:\d+\|h$/);
+            expect(sent[1]).to.equal("requests.get.users.id.2xx:1|c");
+            expect(sent[2]).to.equal("requests.get.users.id.requests");
+        });
+
+        it("should include the mount path of the matched route", function() {
+            var fn = metrics.middleware.Requests();
+
+            fn(req, res, next);
+
+            req.baseUrl = "/api";
+            req.route = {
+                path: "/users/:id"
+            };
+
+            res.emit("finish");
+
+            expect(sent[1]).to.equal("requests.get.api.users.id.2xx:1|c");
+        });
+
+        it("should fall back to the method and normalized path", function() {
+            var fn = metrics.middleware.Requests();
+
+            req.method = "POST";
+            req.url = "/users/550e8400-e29b-41d4-a716-446655440000/avatar.png?size=2";
+            res.statusCode = 404;
+
+            fn(req, res, next);
+
+            res.emit("finish");
+
+            expect(sent[1]).to.equal("requests.post.users.id.avatar_png.4xx:1|c");
+        });
+
+        it("should name the root path", function() {
+            var fn = metrics.middleware.Requests();
+
+            req.url = "/";
+            res.statusCode = 503;
+
+            fn(req, res, next);
+
+            res.emit("finish");
+
+            expect(sent[1]).to.equal("requests.get.root.5xx:1|c");
+        });
+
+        it("should use the provided prefix", function() {
+            var fn = metrics.middleware.Requests({
+                prefix: "web"
+            });
+
+            fn(req, res, next);
+
+            res.emit("finish");
+
+            expect(sent[1]).to.equal("web.get.users.id.2xx:1|c");
+        });
+
+        it("should use the provided name lookup", function() {
+            var fn = metrics.middleware.Requests({
+                name: function(_req, _res) {
+                    expect(_req).to.equal(req);
+                    expect(_res).to.equal(res);
+
+                    return "users.show";
+                }
+            });
+
+            fn(req, res, next);
+
+            res.emit("finish");
+
+            expect(sent[1]).to.equal("requests.users.show.2xx:1|c");
+        });
+
+        it("should apply tags", function() {
+            metrics = metricsd({
+                protocol: "dogstatsd"
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            var fn = metrics.middleware.Requests({
+                tags: {
+                    service: "api"
+                }
+            });
+
+            fn(req, res, next);
+
+            res.emit("finish");
+
+            expect(sent[1]).to.equal("requests.get.users.id.2xx:1|c|#service:api");
+        });
+
+        it("should emit errors rather than throwing them", function() {
+            var errors = [];
+
+            metrics = metricsd({
+                sanitize: "throw",
+                maxNameLength: 24
+            });
+
+            metrics.on("error", function(err) {
+                errors.push(err);
+            });
+
+            req.url = "/some/long/path/here";
+
+            var fn = metrics.middleware.Requests();
+
+            fn(req, res, next);
+
+            expect(function() {
+                res.emit("finish");
+            }).not.to.throw();
+
+            expect(errors).to.have.length(1);
+            expect(errors[0].message).to.match(/invalid metric name/);
+        });
+    });
+
+    describe(".InFlight", function() {
+        var fn;
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+        });
+
+        afterEach(function() {
+            if (fn) {
+                fn.stop();
+            }
+
+            fn = undefined;
+            sent = undefined;
+        });
+
+        it("should return Express-compatible middleware", function(done) {
+            fn = metrics.middleware.InFlight();
+
+            fn(req, res, done);
+        });
+
+        it("should report in-flight requests when they change", function() {
+            var other = new EventEmitter();
+
+            fn = metrics.middleware.InFlight({
+                onChange: true
+            });
+
+            fn(req, res, next);
+            fn({}, other, next);
+
+            res.emit("finish");
+            other.emit("finish");
+
+            expect(sent).to.deep.equal([
+                "requests.in_flight:1|g",
+                "requests.in_flight:2|g",
+                "requests.in_flight:1|g",
+                "requests.in_flight:0|g"
+            ]);
+        });
+
+        it("should count aborted requests exactly once", function() {
+            fn = metrics.middleware.InFlight({
+                onChange: true
+            });
+
+            fn(req, res, next);
+
+            res.emit("close");
+            res.emit("finish");
+
+            expect(sent).to.deep.equal([
+                "requests.in_flight:1|g",
+                "requests.in_flight:0|g"
+            ]);
+            expect(res.listeners("finish")).to.be.empty;
+        });
+
+        it("should report in-flight requests and the peak periodically", function(done) {
+            var other = new EventEmitter();
+
+            fn = metrics.middleware.InFlight({
+                interval: 10
+            });
+
+            fn(req, res, next);
+            fn({}, other, next);
+
+            other.emit("finish");
+
+            expect(sent).to.be.empty;
+
+            setTimeout(function() {
+                expect(sent.slice(0, 2)).to.deep.equal([
+                    "requests.in_flight:1|g",
+                    "requests.in_flight.peak:2|g"
+                ]);
+
+                done();
+            }, 15);
+        });
+
+        it("should reset the peak after reporting", function(done) {
+            fn = metrics.middleware.InFlight({
+                interval: 10
+            });
+
+            fn(req, res, next);
+
+            res.emit("finish");
+
+            setTimeout(function() {
+                sent = [];
+
+                setTimeout(function() {
+                    expect(sent.slice(0, 2)).to.deep.equal([
+                        "requests.in_flight:0|g",
+                        "requests.in_flight.peak:0|g"
+                    ]);
+
+                    done();
+                }, 12);
+            }, 12);
+        });
+
+        it("should use the provided prefix and tags", function() {
+            metrics = metricsd({
+                protocol: "dogstatsd"
+            });
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            fn = metrics.middleware.InFlight({
+                prefix: "web",
+                onChange: true,
+                tags: {
+                    service: "api"
+                }
+            });
+
+            fn(req, res, next);
+
+            expect(sent).to.deep.equal([
+                "web.in_flight:1|g|#service:api"
+            ]);
+        });
+
+        it("should stop reporting when stopped", function(done) {
+            fn = metrics.middleware.InFlight({
+                interval: 10
+            });
+
+            fn.stop();
+
+            setTimeout(function() {
+                expect(sent).to.be.empty;
+
+                done();
+            }, 25);
+        });
+
+        it("should stop reporting when metrics are closed", function(done) {
+            fn = metrics.middleware.InFlight({
+                interval: 10
+            });
+
+            metrics.close(function() {
+                setTimeout(function() {
+                    expect(sent).to.be.empty;
+
+                    done();
+                }, 25);
+            });
+        });
+
+        it("should emit errors rather than throwing them", function(done) {
+            metrics = metricsd({
+                sanitize: "throw",
+                maxNameLength: 20,
+                logger: function() {}
+            });
+
+            metrics.once("error", function(err) {
+                expect(err.message).to.match(/invalid metric name/);
+
+                done();
+            });
+
+            fn = metrics.middleware.InFlight({
+                interval: 10
+            });
+        });
+    });
+
+    describe(".Sizes", function() {
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            req = new EventEmitter();
+            req.headers = {};
+
+            res.write = function() {
+                return true;
+            };
+
+            res.end = function() {
+                res.emit("finish");
+            };
+        });
+
+        afterEach(function() {
+            sent = undefined;
+        });
+
+        it("should return Express-compatible middleware", function(done) {
+            var fn = metrics.middleware.Sizes("request.size", "response.size");
+
+            fn(req, res, done);
+        });
+
+        it("should record the request's content length", function() {
+            var fn = metrics.middleware.Sizes("request.size");
+
+            req.headers["content-length"] = "1234";
+
+            fn(req, res, next);
+
+            res.end();
+
+            expect(sent).to.deep.equal([
+                "request.size:1234|h"
+            ]);
+        });
+
+        it("should count request bytes as they're read", function() {
+            var fn = metrics.middleware.Sizes("request.size");
+
+            fn(req, res, next);
+
+            req.emit("data", new Buffer("hello"));
+            req.emit("data", "wörld");
+            req.emit("end");
+
+            res.end();
+
+            expect(sent).to.deep.equal([
+                "request.size:11|h"
+            ]);
+        });
+
+        it("should count response bytes written", function() {
+            var fn = metrics.middleware.Sizes(null, "response.size");
+
+            fn(req, res, next);
+
+            res.write("hello");
+            res.write("776f726c64", "hex");
+            res.end(new Buffer("!"));
+
+            expect(sent).to.deep.equal([
+                "response.size:11|h"
+            ]);
+        });
+
+        it("should treat names as lookups if they're functions", function() {
+            var fn = metrics.middleware.Sizes(function(_req, _res, size) {
+                expect(_req).to.equal(req);
+                expect(_res).to.equal(res);
+                expect(size).to.equal(3);
+
+                return ["request.size", "api.request.size"];
+            }, function(_req, _res, size) {
+                expect(size).to.equal(2);
+
+                return "response.size";
+            });
+
+            req.headers["content-length"] = "3";
+
+            fn(req, res, next);
+
+            res.end("ok");
+
+            expect(sent).to.deep.equal([
+                "request.size:3|h",
+                "api.request.size:3|h",
+                "response.size:2|h"
+            ]);
+        });
+
+        it("should measure requests to an HTTP server", function(done) {
+            var http = require("http");
+
+            var fn = metrics.middleware.Sizes("request.size", "response.size");
+
+            var server = http.createServer(function(req, res) {
+                fn(req, res, function() {
+                    req.resume();
+
+                    req.on("end", function() {
+                        res.write("hello ");
+                        res.end("world");
+                    });
+                });
+            });
+
+            server.listen(0, function() {
+                var client = http.request({
+                    port: server.address().port,
+                    method: "POST"
+                }, function(response) {
+                    response.resume();
+
+                    response.on("end", function() {
+                        server.close();
+
+                        expect(sent).to.deep.equal([
+                            "request.size:6|h",
+                            "response.size:11|h"
+                        ]);
+
+                        done();
+                    });
+                });
+
+                // chunked, so without a Content-Length
+                client.write("abc");
+                client.end("def");
+            });
+        });
+    });
+
+    describe(".Koa", function() {
+        var ctx;
+        var sent;
+
+        beforeEach(function() {
+            sent = [];
+
+            metrics._send = function(str) {
+                sent.push(str);
+            };
+
+            ctx = {
+                method: "GET",
+                path: "/users/42",
+                status: 404
+            };
+        });
+
+        afterEach(function() {
+            ctx = undefined;
+            sent = undefined;
+        });
+
+        it("should call the next middleware and resolve when it does", function(done) {
+            var fn = metrics.middleware.Koa();
+
+            fn(ctx, function() {
+                ctx.status = 200;
+
+                return Promise.resolve();
+            }).then(function() {
+                expect(ctx.status).to.equal(200);
+            }).then(done, done);
+        });
+
+        it("should record latency, status class and a meter", function(done) {
+            var fn = metrics.middleware.Koa();
+
+            fn(ctx, function() {
+                ctx.status = 201;
+
+                return Promise.resolve();
+            }).then(function() {
+                expect(sent).to.have.length(3);
+                expect(sent[0]).to.match(/^requests\.get\.users\.id:\d+\|h$/);
+                expect(sent[1]).to.equal("requests.get.users.id.2xx:1|c");
+                expect(sent[2]).to.equal("requests.get.users.id.requests");
+            }).then(done, done);
+        });
+
+        it("should use the route matched by koa-router", function(done) {
+            var fn = metrics.middleware.Koa();
+
+            fn(ctx, function() {
+                ctx._matchedRoute = "/users/:user_id";
+                ctx.status = 200;
+
+                return Promise.resolve();
+            }).then(function() {
+                expect(sent[1]).to.equal("requests.get.users.user_id.2xx:1|c");
+            }).then(done, done);
+        });
+
+        it("should record and rethrow downstream errors", function(done) {
+            var err = new Error("failed");
+
+            var fn = metrics.middleware.Koa();
+
+            fn(ctx, function() {
+                return Promise.reject(err);
+            }).then(function() {
+                throw new Error("should have been rejected");
+            }, function(e) {
+                expect(e).to.equal(err);
+                expect(sent[1]).to.equal("requests.get.users.id.5xx:1|c");
+            }).then(done, done);
+        });
+
+        it("should use the status of downstream errors", function(done) {
+            var err = new Error("forbidden");
+            err.status = 403;
+
+            var fn = metrics.middleware.Koa();
+
+            fn(ctx, function() {
+                return Promise.reject(err);
+            }).then(null, function() {
+                expect(sent[1]).to.equal("requests.get.users.id.4xx:1|c");
+            }).then(done, done);
+        });
+
+        it("should use the provided prefix and name lookup", function(done) {
+            var fn = metrics.middleware.Koa({
+                prefix: "web",
+                name: function(_ctx) {
+                    expect(_ctx).to.equal(ctx);
+
+                    return "users.show";
+                }
+            });
+
+            fn(ctx, function() {
+                return Promise.resolve();
+            }).then(function() {
+                expect(sent[1]).to.equal("web.users.show.4xx:1|c");
+            }).then(done, done);
+        });
+
+        it("should emit errors rather than rejecting", function(done) {
+            var errors = [];
+
+            metrics = metricsd({
+                sanitize: "throw",
+                maxNameLength: 24
+            });
+
+            metrics.on("error", function(err) {
+                errors.push(err);
+            });
+
+            ctx.path = "/some/long/path/here";
+
+            var fn = metrics.middleware.Koa();
+
+            fn(ctx, function() {
+                ctx.status = 200;
+
+                return Promise.resolve();
+            }).then(function() {
+                expect(ctx.status).to.equal(200);
+                expect(errors).to.have.length(1);
+                expect(errors[0].message).to.match(/invalid metric name/);
+            }).then(done, done);
+        });
+    });
+
     describe(".TimeFilter", function() {
         var metric;
 
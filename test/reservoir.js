@@ -0,0 +1,110 @@
+"use strict";
+
+var Reservoir = require("../lib/reservoir"),
+    expect = require("chai").expect;
+
+describe("Reservoir", function() {
+    var reservoir;
+
+    beforeEach(function() {
+        reservoir = new Reservoir(100);
+    });
+
+    afterEach(function() {
+        reservoir = undefined;
+    });
+
+    it("may be created without new", function() {
+        expect(Reservoir()).to.be.an.instanceof(Reservoir);
+    });
+
+    describe("#update", function() {
+        it("should count every value", function() {
+            for (var i = 0; i < 1000; i++) {
+                reservoir.update(i);
+            }
+
+            expect(reservoir.count).to.equal(1000);
+        });
+
+        it("should keep at most size values", function() {
+            for (var i = 0; i < 1000; i++) {
+                reservoir.update(i);
+            }
+
+            expect(reservoir.samples).to.have.length(100);
+        });
+
+        it("should favor recent values", function() {
+            var now = reservoir.startTime;
+
+            for (var i = 0; i < 1000; i++) {
+                reservoir.update(1, now);
+            }
+
+            // 30 minutes later
+            for (i = 0; i < 100; i++) {
+                reservoir.update(2, now + 1800);
+            }
+
+            expect(reservoir.snapshot().min).to.equal(2);
+        });
+    });
+
+    describe("#rescale", function() {
+        it("should preserve the relative order of priorities", function() {
+            var now = reservoir.startTime;
+
+            reservoir.update(1, now);
+            reservoir.update(2, now + 10);
+
+            var before = reservoir.samples.map(function(sample) {
+                return sample.value;
+            });
+
+            reservoir.rescale(now + 3600);
+
+            expect(reservoir.samples.map(function(sample) {
+                return sample.value;
+            })).to.eql(before);
+            expect(reservoir.startTime).to.equal(now + 3600);
+        });
+    });
+
+    describe("#clear", function() {
+        it("should discard all values", function() {
+            reservoir.update(1);
+            reservoir.clear();
+
+            expect(reservoir.count).to.equal(0);
+            expect(reservoir.samples).to.be.empty;
+        });
+    });
+
+    describe("#snapshot", function() {
+        it("should summarize values", function() {
+            [5, 1, 4, 2, 3].forEach(function(value) {
+                reservoir.update(value);
+            });
+
+            var snapshot = reservoir.snapshot([0.5, 0.75]);
+
+            expect(snapshot.count).to.equal(5);
+            expect(snapshot.min).to.equal(1);
+            expect(snapshot.max).to.equal(5);
+            expect(snapshot.mean).to.equal(3);
+            expect(snapshot.percentiles[0.5]).to.equal(3);
+            expect(snapshot.percentiles[0.75]).to.equal(4.5);
+        });
+
+        it("should return zeros when empty", function() {
+            var snapshot = reservoir.snapshot([0.5]);
+
+            expect(snapshot.count).to.equal(0);
+            expect(snapshot.min).to.equal(0);
+            expect(snapshot.max).to.equal(0);
+            expect(snapshot.mean).to.equal(0);
+            expect(snapshot.percentiles[0.5]).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,888 @@
+"use strict";
+
+var dgram = require("dgram"),
+    dns = require("dns"),
+    EventEmitter = require("events").EventEmitter,
+    net = require("net"),
+    os = require("os"),
+    path = require("path"),
+    transports = require("../lib/metricsd").transports,
+    expect = require("chai").expect;
+
+describe("require('metricsd').transports", function() {
+    describe(".log", function() {
+        var transport;
+        var logged;
+
+        beforeEach(function() {
+            logged = [];
+
+            transport = transports.log({
+                logger: function() {
+                    logged.push(Array.prototype.slice.call(arguments));
+                }
+            });
+        });
+
+        afterEach(function() {
+            transport = undefined;
+            logged = undefined;
+        });
+
+        describe("#write", function() {
+            it("should log each line", function() {
+                transport.write(["a:1|c", "b:2|g"]);
+
+                expect(logged).to.eql([
+                    ["metric=%s", "a:1|c"],
+                    ["metric=%s", "b:2|g"]
+                ]);
+            });
+
+            it("should emit send", function(done) {
+                transport.on("send", function(lines, bytes) {
+                    expect(lines).to.equal(2);
+                    expect(bytes).to.equal(12);
+
+                    done();
+                });
+
+                transport.write(["a:1|c", "b:2|g"]);
+            });
+        });
+
+        describe("#flush", function() {
+            it("should call back", function(done) {
+                transport.flush(done);
+            });
+        });
+
+        describe("#close", function() {
+            it("should call back", function(done) {
+                transport.close(done);
+            });
+        });
+    });
+
+    describe(".udp", function() {
+        var port = 1238;
+        var transport;
+        var sink;
+
+        beforeEach(function(done) {
+            transport = transports.udp({
+                host: "localhost",
+                port: port,
+                timeout: 1000,
+                batch: true,
+                maxPacketSize: 512,
+                flushInterval: 60000
+            });
+
+            sink = dgram.createSocket("udp4");
+
+            sink.once("listening", done);
+
+            sink.bind(port);
+        });
+
+        afterEach(function(done) {
+            transport.close();
+            transport = undefined;
+
+            sink.once("close", done);
+
+            sink.close();
+        });
+
+        describe("#write", function() {
+            it("should write newline-terminated lines", function(done) {
+                transport = transports.udp({
+                    host: "localhost",
+                    port: port,
+                    timeout: 1000
+                });
+
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("a:1|c\n");
+
+                    done();
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should emit send once lines have been sent", function(done) {
+                transport.on("send", function(lines, bytes) {
+                    expect(lines).to.equal(2);
+                    expect(bytes).to.equal(12);
+
+                    done();
+                });
+
+                transport.write(["a:1|c", "b:2|g"]);
+                transport.flush();
+            });
+        });
+
+        describe("#flush", function() {
+            it("should send batched lines", function(done) {
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("a:1|c\nb:2|g\n");
+
+                    done();
+                });
+
+                transport.write(["a:1|c", "b:2|g"]);
+                transport.flush();
+            });
+
+            it("should call back once batched lines have been sent", function(done) {
+                transport.write(["a:1|c"]);
+                transport.flush(done);
+            });
+
+            it("should call back if nothing was batched", function(done) {
+                transport.flush(done);
+            });
+        });
+
+        describe("#close", function() {
+            it("should send batched lines", function(done) {
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("a:1|c\n");
+
+                    done();
+                });
+
+                transport.write(["a:1|c"]);
+                transport.close();
+            });
+
+            it("should call back once the socket has been closed", function(done) {
+                transport.write(["a:1|c"]);
+                transport.close(done);
+            });
+
+            it("should call back once batched lines have been sent", function(done) {
+                var sent = 0;
+
+                transport.on("send", function(lines) {
+                    sent += lines;
+                });
+
+                transport.write(["a:1|c", "b:1|c"]);
+                transport.close(function() {
+                    expect(sent).to.equal(2);
+
+                    done();
+                });
+            });
+
+            it("should drop lines written once closing", function(done) {
+                transport.once("drop", function(count) {
+                    expect(count).to.equal(1);
+
+                    done();
+                });
+
+                transport.close();
+                transport.write(["a:1|c"]);
+            });
+        });
+
+        describe("host resolution", function() {
+            var lookup = dns.lookup;
+            var lookups;
+
+            beforeEach(function() {
+                lookups = 0;
+
+                dns.lookup = function(host, options, callback) {
+                    if (!/\.test$/.test(host)) {
+                        // dgram uses dns.lookup internally
+                        return lookup.apply(dns, arguments);
+                    }
+
+                    lookups++;
+
+                    if (host === "missing.test") {
+                        return process.nextTick(function() {
+                            callback(new Error("getaddrinfo ENOTFOUND " + host));
+                        });
+                    }
+
+                    if (host === "slow.test") {
+                        return setTimeout(function() {
+                            callback(null, [{ address: "127.0.0.1", family: 4 }]);
+                        }, 20);
+                    }
+
+                    if (host === "legacy.test") {
+                        // Node < 0.12
+                        if (typeof options === "object") {
+                            throw new Error("family must be 4 or 6");
+                        }
+
+                        return process.nextTick(function() {
+                            options(null, "127.0.0.1", 4);
+                        });
+                    }
+
+                    if (host === "string.test") {
+                        // Node < 4 ignores options.all
+                        return process.nextTick(function() {
+                            callback(null, "127.0.0.1", 4);
+                        });
+                    }
+
+                    if (host === "ipv6.test") {
+                        return process.nextTick(function() {
+                            callback(null, [{ address: "::1", family: 6 }]);
+                        });
+                    }
+
+                    process.nextTick(function() {
+                        callback(null, [
+                            { address: "::1", family: 6 },
+                            { address: "127.0.0.1", family: 4 }
+                        ]);
+                    });
+                };
+            });
+
+            afterEach(function() {
+                dns.lookup = lookup;
+            });
+
+            var create = function(host, dnsTtl) {
+                transport = transports.udp({
+                    host: host,
+                    port: port,
+                    timeout: 1000,
+                    dnsTtl: dnsTtl || 60000
+                });
+            };
+
+            it("should prefer IPv4 addresses", function(done) {
+                create("dual-stack.test");
+
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("a:1|c\n");
+
+                    done();
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should cache resolved addresses", function(done) {
+                create("dual-stack.test");
+
+                var received = 0;
+
+                sink.on("message", function(msg, rinfo) {
+                    if (++received === 2) {
+                        expect(lookups).to.equal(1);
+
+                        done();
+                    }
+                });
+
+                transport.write(["a:1|c"]);
+                transport.write(["b:1|c"]);
+            });
+
+            it("should re-resolve addresses once they expire", function(done) {
+                create("dual-stack.test", 1);
+
+                sink.once("message", function(msg, rinfo) {
+                    setTimeout(function() {
+                        sink.once("message", function(msg, rinfo) {
+                            expect(lookups).to.equal(2);
+
+                            done();
+                        });
+
+                        transport.write(["b:1|c"]);
+                    }, 5);
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should wait for outstanding sends when closing", function(done) {
+                create("slow.test");
+
+                var sent = 0;
+
+                transport.on("send", function(lines) {
+                    sent += lines;
+                });
+
+                transport.write(["a:1|c"]);
+                transport.close(function() {
+                    expect(sent).to.equal(1);
+
+                    done();
+                });
+            });
+
+            it("should support lookups that don't accept options", function(done) {
+                create("legacy.test");
+
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("a:1|c\n");
+
+                    done();
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should support lookups that return a single address", function(done) {
+                create("string.test");
+
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("a:1|c\n");
+
+                    done();
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should send to IP addresses", function(done) {
+                create("127.0.0.1");
+
+                sink.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("a:1|c\n");
+
+                    done();
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should emit an error if resolution fails", function(done) {
+                create("missing.test");
+
+                transport.once("error", function(err) {
+                    expect(err.message).to.match(/ENOTFOUND/);
+
+                    done();
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should emit drop if resolution fails", function(done) {
+                create("missing.test");
+
+                transport.on("error", function(err) {});
+
+                transport.once("drop", function(count, err) {
+                    expect(count).to.equal(1);
+                    expect(err.message).to.match(/ENOTFOUND/);
+
+                    done();
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should not retry failed lookups immediately", function(done) {
+                create("missing.test");
+
+                transport.on("error", function(err) {});
+
+                transport.write(["a:1|c"]);
+
+                setTimeout(function() {
+                    transport.write(["b:1|c"]);
+
+                    expect(lookups).to.equal(1);
+
+                    done();
+                }, 5);
+            });
+
+            it("should use IPv6 if the host only has IPv6 addresses", function(done) {
+                create("ipv6.test");
+
+                var sink6 = dgram.createSocket("udp6");
+
+                sink6.once("message", function(msg, rinfo) {
+                    expect(msg.toString()).to.equal("a:1|c\n");
+
+                    sink6.close();
+
+                    done();
+                });
+
+                sink6.bind(port, "::1", function() {
+                    transport.write(["a:1|c"]);
+                });
+            });
+        });
+    });
+
+    describe(".tcp", function() {
+        var port = 1237;
+        var transport;
+        var server;
+        var logged;
+
+        beforeEach(function() {
+            logged = [];
+
+            transport = transports.tcp({
+                host: "localhost",
+                port: port,
+                queueSize: 2,
+                reconnectDelay: 10,
+                maxReconnectDelay: 40,
+                logger: function() {
+                    logged.push(Array.prototype.slice.call(arguments));
+                }
+            });
+        });
+
+        afterEach(function(done) {
+            transport.close();
+            transport = undefined;
+
+            if (server) {
+                server.close(function() {
+                    server = undefined;
+
+                    done();
+                });
+            } else {
+                done();
+            }
+        });
+
+        var listen = function(callback) {
+            server = net.createServer(function(socket) {
+                socket.setEncoding("utf8");
+
+                var data = "";
+
+                socket.on("data", function(chunk) {
+                    data += chunk;
+
+                    callback(data, socket);
+                });
+            });
+
+            server.listen(port);
+        };
+
+        describe("#write", function() {
+            it("should write newline-terminated lines to the server", function(done) {
+                listen(function(data) {
+                    if (data === "a:1|c\nb:2|g\n") {
+                        done();
+                    }
+                });
+
+                transport.write(["a:1|c", "b:2|g"]);
+            });
+
+            it("should queue lines until a connection is available", function(done) {
+                transport.write(["a:1|c", "b:1|c"]);
+
+                expect(transport.queued).to.equal(2);
+
+                // let the first connection attempt fail
+                setTimeout(function() {
+                    listen(function(data) {
+                        if (data === "a:1|c\nb:1|c\n") {
+                            expect(transport.queued).to.equal(0);
+
+                            done();
+                        }
+                    });
+                }, 20);
+            });
+
+            it("should drop lines that don't fit in the queue", function(done) {
+                transport.write(["a:1|c", "b:1|c", "c:1|c"]);
+
+                expect(transport.queued).to.equal(2);
+                expect(transport.dropped).to.equal(1);
+
+                setTimeout(function() {
+                    listen(function(data) {
+                        if (data === "a:1|c\nb:1|c\n") {
+                            expect(logged).to.have.length(1);
+                            expect(logged[0][1]).to.equal(1);
+
+                            done();
+                        }
+                    });
+                }, 20);
+            });
+
+            it("should emit drop for lines that don't fit in the queue", function(done) {
+                transport.once("drop", function(count) {
+                    expect(count).to.equal(1);
+
+                    done();
+                });
+
+                transport.write(["a:1|c", "b:1|c", "c:1|c"]);
+            });
+
+            it("should emit send once connected", function(done) {
+                listen(function(data) {});
+
+                transport.on("send", function(lines, bytes) {
+                    expect(lines).to.equal(2);
+                    expect(bytes).to.equal(12);
+
+                    done();
+                });
+
+                transport.write(["a:1|c", "b:2|g"]);
+            });
+
+            it("should reconnect when the connection closes", function(done) {
+                var connections = 0;
+
+                listen(function(data, socket) {
+                    connections++;
+
+                    if (connections === 1) {
+                        expect(data).to.equal("a:1|c\n");
+
+                        socket.destroy();
+
+                        setTimeout(function() {
+                            transport.write(["b:1|c"]);
+                        }, 5);
+                    } else {
+                        expect(data).to.equal("b:1|c\n");
+
+                        done();
+                    }
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should queue lines while the connection isn't accepting writes", function() {
+                var connect = net.connect;
+                var socket = new EventEmitter();
+                var written = [];
+
+                socket.write = function(str) {
+                    written.push(str);
+
+                    // the socket's buffer is full
+                    return false;
+                };
+
+                socket.end = socket.destroy = function() {
+                    socket.emit("close");
+                };
+
+                net.connect = function() {
+                    return socket;
+                };
+
+                try {
+                    transport.write(["a:1|c"]);
+                } finally {
+                    net.connect = connect;
+                }
+
+                socket.emit("connect");
+
+                transport.write(["b:1|c", "c:1|c", "d:1|c"]);
+
+                expect(written).to.deep.equal(["a:1|c\n"]);
+                expect(transport.queued).to.equal(2);
+                expect(transport.dropped).to.equal(1);
+
+                socket.emit("drain");
+
+                expect(written).to.deep.equal(["a:1|c\n", "b:1|c\nc:1|c\n"]);
+                expect(transport.queued).to.equal(0);
+            });
+        });
+
+        describe("#flush", function() {
+            it("should call back when not connected", function(done) {
+                transport.flush(done);
+            });
+        });
+
+        describe("#close", function() {
+            it("should not reconnect once closed", function(done) {
+                transport.write(["a:1|c"]);
+                transport.close();
+
+                setTimeout(function() {
+                    listen(function(data) {
+                        throw new Error("should not have been called");
+                    });
+
+                    setTimeout(done, 50);
+                }, 20);
+            });
+
+            it("should call back once closed", function(done) {
+                transport.write(["a:1|c"]);
+                transport.close(done);
+            });
+
+            it("should connect to write queued lines", function(done) {
+                var received = "";
+
+                transport.write(["a:1|c", "b:1|c"]);
+
+                // let the first connection attempt fail
+                setTimeout(function() {
+                    listen(function(data) {
+                        received = data;
+                    });
+
+                    server.on("listening", function() {
+                        transport.on("drop", function() {
+                            throw new Error("should not have dropped anything");
+                        });
+
+                        transport.close(function() {
+                            expect(received).to.equal("a:1|c\nb:1|c\n");
+                            expect(transport.queued).to.equal(0);
+
+                            done();
+                        });
+                    });
+                }, 20);
+            });
+
+            it("should emit drop for queued lines that can't be written", function(done) {
+                transport.on("drop", function(count) {
+                    expect(count).to.equal(2);
+
+                    done();
+                });
+
+                transport.write(["a:1|c", "b:1|c"]);
+                transport.close();
+            });
+        });
+    });
+
+    describe(".unix", function() {
+        var socketPath = path.join(os.tmpdir(), "metricsd-test-" + process.pid + ".sock");
+        var transport;
+        var server;
+
+        beforeEach(function(done) {
+            transport = transports.unix({
+                path: socketPath,
+                timeout: 50
+            });
+
+            server = net.createServer(function(socket) {
+                // read (and discard) everything so that we notice when the
+                // connection is closed
+                socket.resume();
+            });
+
+            server.listen(socketPath, done);
+        });
+
+        afterEach(function(done) {
+            transport.close();
+            transport = undefined;
+
+            server.close(function() {
+                server = undefined;
+
+                done();
+            });
+        });
+
+        var receive = function(callback) {
+            server.once("connection", function(socket) {
+                socket.setEncoding("utf8");
+
+                var data = "";
+
+                socket.on("data", function(chunk) {
+                    data += chunk;
+
+                    callback(data, socket);
+                });
+            });
+        };
+
+        describe("#write", function() {
+            it("should write newline-terminated lines to the socket", function(done) {
+                receive(function(data) {
+                    if (data === "a:1|c\nb:2|g\n") {
+                        done();
+                    }
+                });
+
+                transport.write(["a:1|c", "b:2|g"]);
+            });
+
+            it("should emit send", function(done) {
+                transport.on("send", function(lines, bytes) {
+                    expect(lines).to.equal(2);
+                    expect(bytes).to.equal(12);
+
+                    done();
+                });
+
+                transport.write(["a:1|c", "b:2|g"]);
+            });
+
+            it("should emit drop if the connection failed", function(done) {
+                transport = transports.unix({
+                    path: socketPath + ".missing",
+                    timeout: 50
+                });
+
+                transport.on("error", function() {});
+
+                transport.on("send", function() {
+                    done(new Error("lines were sent"));
+                });
+
+                transport.on("drop", function(lines, err) {
+                    expect(lines).to.equal(2);
+                    expect(err).to.be.an.instanceof(Error);
+
+                    done();
+                });
+
+                transport.write(["a:1|c", "b:2|g"]);
+            });
+
+            it("should emit reopen when re-opened after being closed while idle", function(done) {
+                server.once("connection", function(socket) {
+                    socket.once("end", function() {
+                        transport.once("reopen", done);
+
+                        transport.write(["b:1|c"]);
+                    });
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should close the connection once idle", function(done) {
+                server.once("connection", function(socket) {
+                    socket.once("end", done);
+                });
+
+                transport.write(["a:1|c"]);
+            });
+
+            it("should reconnect when the other end restarts", function(done) {
+                var timer;
+
+                // long enough that the connection won't be closed for being
+                // old
+                transport = transports.unix({
+                    path: socketPath,
+                    timeout: 1000
+                });
+
+                transport.on("error", function() {});
+
+                server.once("connection", function(socket) {
+                    socket.destroy();
+
+                    server.close(function() {
+                        server = net.createServer(function(socket) {
+                            socket.resume();
+                        });
+
+                        receive(function(data) {
+                            if (data.indexOf("b:1|c\n") >= 0) {
+                                clearInterval(timer);
+
+                                done();
+                            }
+                        });
+
+                        server.listen(socketPath, function() {
+                            // keep writing, as an application would
+                            timer = setInterval(function() {
+                                transport.write(["b:1|c"]);
+                            }, 10);
+                        });
+                    });
+                });
+
+                transport.write(["a:1|c"]);
+            });
+        });
+
+        describe("#flush", function() {
+            it("should call back if the connection failed", function(done) {
+                transport = transports.unix({
+                    path: socketPath + ".missing",
+                    timeout: 50
+                });
+
+                transport.on("error", function() {});
+
+                transport.write(["a:1|c"]);
+
+                setTimeout(function() {
+                    transport.flush(done);
+                }, 10);
+            });
+
+            it("should call back once lines have been written", function(done) {
+                transport.write(["a:1|c"]);
+                transport.flush(done);
+            });
+
+            it("should not connect when nothing has been written", function(done) {
+                transport = transports.unix({
+                    path: socketPath + ".missing",
+                    timeout: 50
+                });
+
+                transport.on("error", function(err) {
+                    throw err;
+                });
+
+                transport.flush(function() {
+                    // give a connection attempt a chance to fail
+                    setTimeout(done, 10);
+                });
+            });
+        });
+
+        describe("#close", function() {
+            it("should call back once closed", function(done) {
+                transport.write(["a:1|c"]);
+                transport.close(done);
+            });
+
+            it("should call back if the connection failed", function(done) {
+                transport = transports.unix({
+                    path: socketPath + ".missing",
+                    timeout: 50
+                });
+
+                transport.write(["a:1|c"]);
+
+                setTimeout(function() {
+                    transport.close(done);
+                }, 10);
+            });
+        });
+    });
+});